@@ -7,21 +7,100 @@ document.addEventListener('DOMContentLoaded', () => {
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('file-input');
     const fileInfo = document.getElementById('file-info');
-    const filenameLabel = document.getElementById('filename');
-    const removeFileBtn = document.getElementById('remove-file');
+    const fileListEl = document.getElementById('file-list');
+    const addFileBtn = document.getElementById('add-file');
+    const exportProjectBtn = document.getElementById('export-project');
+    const projectIncludeDataToggle = document.getElementById('project-include-data');
+    const progressOverlay = document.getElementById('progress-overlay');
+    const progressLabelEl = document.getElementById('progress-label');
+    const progressFillEl = document.getElementById('progress-fill');
+    const cancelTaskBtn = document.getElementById('cancel-task');
 
     const sheetSection = document.getElementById('sheet-section');
     const sheetSelector = document.getElementById('sheet-selector');
+    const headerRowInput = document.getElementById('header-row-input');
+    const headerRowsInput = document.getElementById('header-rows-input');
+    const dataRangeInput = document.getElementById('data-range-input');
+    const definedNamesList = document.getElementById('defined-names-list');
+    const stopAtBlankToggle = document.getElementById('stop-at-blank-toggle');
+    const readHeaderSpecsToggle = document.getElementById('read-header-specs-toggle');
+    const applySheetOptionsBtn = document.getElementById('apply-sheet-options');
+    const decimalSeparatorSelector = document.getElementById('decimal-separator-selector');
+    const thousandsSeparatorSelector = document.getElementById('thousands-separator-selector');
+    const stripUnitsToggle = document.getElementById('strip-units-toggle');
+    const censoredSelector = document.getElementById('censored-selector');
+    const percentSelector = document.getElementById('percent-selector');
+    const applyNumberFormatBtn = document.getElementById('apply-number-format');
+    const openColumnMappingBtn = document.getElementById('open-column-mapping');
+    const columnMappingModal = document.getElementById('column-mapping-modal');
+    const columnMappingBody = document.getElementById('column-mapping-body');
+    const closeColumnMappingBtn = document.getElementById('close-column-mapping');
+    const clearColumnMappingBtn = document.getElementById('clear-column-mapping');
+    const applyColumnMappingBtn = document.getElementById('apply-column-mapping');
+
+    const viewsSection = document.getElementById('views-section');
+    const viewSelector = document.getElementById('view-selector');
+    const viewScopeEl = document.getElementById('view-scope');
+    const viewNameInput = document.getElementById('view-name-input');
+    const saveViewBtn = document.getElementById('save-view');
+    const renameViewBtn = document.getElementById('rename-view');
+    const deleteViewBtn = document.getElementById('delete-view');
+    const copyViewLinkBtn = document.getElementById('copy-view-link');
+
+    const reshapeSection = document.getElementById('reshape-section');
+    const reshapeModeSelector = document.getElementById('reshape-mode-selector');
+    const unpivotConfig = document.getElementById('unpivot-config');
+    const unpivotColsSelector = document.getElementById('unpivot-cols-selector');
+    const unpivotVariableInput = document.getElementById('unpivot-variable-input');
+    const unpivotValueInput = document.getElementById('unpivot-value-input');
+    const unpivotRowIdToggle = document.getElementById('unpivot-rowid-toggle');
+    const pivotConfig = document.getElementById('pivot-config');
+    const pivotNamesSelector = document.getElementById('pivot-names-selector');
+    const pivotValuesSelector = document.getElementById('pivot-values-selector');
+    const pivotIdSelector = document.getElementById('pivot-id-selector');
+    const transposeConfig = document.getElementById('transpose-config');
+    const transposeNameSelector = document.getElementById('transpose-name-selector');
+    const reshapePreview = document.getElementById('reshape-preview');
+    const reshapeSummaryEl = document.getElementById('reshape-summary');
+    const reshapePreviewHead = document.getElementById('reshape-preview-head');
+    const reshapePreviewBody = document.getElementById('reshape-preview-body');
+    const applyReshapeBtn = document.getElementById('apply-reshape');
+
+    const computedSection = document.getElementById('computed-section');
+    const computedListEl = document.getElementById('computed-list');
+    const computedNameInput = document.getElementById('computed-name-input');
+    const computedExpressionInput = document.getElementById('computed-expression-input');
+    const computedColumnPicker = document.getElementById('computed-column-picker');
+    const computedFunctionPicker = document.getElementById('computed-function-picker');
+    const computedErrorEl = document.getElementById('computed-error');
+    const saveComputedBtn = document.getElementById('save-computed');
+    const cancelComputedBtn = document.getElementById('cancel-computed');
 
     const configSection = document.getElementById('config-section');
     const xAxisSelector = document.getElementById('x-axis-selector');
     const xAxis2Selector = document.getElementById('x-axis-2-selector');
     const xIsDateCheckbox = document.getElementById('x-is-date');
     const x2IsDateCheckbox = document.getElementById('x2-is-date');
+    const xDateFormatSelector = document.getElementById('x-date-format-selector');
+    const x2DateFormatSelector = document.getElementById('x2-date-format-selector');
     const yAxisSelector = document.getElementById('y-axis-selector');
     const generateChartBtn = document.getElementById('generate-chart');
     const exportTrendBtn = document.getElementById('export-trend');
     const exportDistBtn = document.getElementById('export-dist');
+    const distModeSelector = document.getElementById('dist-mode-selector');
+    const chartTypeSelector = document.getElementById('chart-type-selector');
+    const subgroupConfig = document.getElementById('subgroup-config');
+    const subgroupSizeInput = document.getElementById('subgroup-size-input');
+    const subgroupColSelector = document.getElementById('subgroup-col-selector');
+    const ewmaConfig = document.getElementById('ewma-config');
+    const ewmaLambdaInput = document.getElementById('ewma-lambda-input');
+    const ewmaLInput = document.getElementById('ewma-l-input');
+    const cusumConfig = document.getElementById('cusum-config');
+    const cusumKInput = document.getElementById('cusum-k-input');
+    const cusumHInput = document.getElementById('cusum-h-input');
+    const attributeConfig = document.getElementById('attribute-config');
+    const sampleSizeColSelector = document.getElementById('sample-size-col-selector');
+    const groupBySelector = document.getElementById('group-by-selector');
     const yVisibilitySection = document.getElementById('y-visibility-section');
     const ySeriesToggles = document.getElementById('y-series-toggles');
 
@@ -29,24 +108,36 @@ document.addEventListener('DOMContentLoaded', () => {
     const targetInput = document.getElementById('target-input');
     const uslInput = document.getElementById('usl-input');
     const lslInput = document.getElementById('lsl-input');
+    const ciLevelSelector = document.getElementById('ci-level-selector');
+    const ciColorToggle = document.getElementById('ci-color-toggle');
+    const capabilityMethodSelector = document.getElementById('capability-method-selector');
     const targetColSelector = document.getElementById('target-col-selector');
     const uslColSelector = document.getElementById('usl-col-selector');
     const lslColSelector = document.getElementById('lsl-col-selector');
+    const rowSpecsToggle = document.getElementById('row-specs-toggle');
 
     const filterSection = document.getElementById('filter-section');
     const filterContainer = document.getElementById('filter-container');
     const resetFiltersBtn = document.getElementById('reset-filters');
+    const filterLogicSelector = document.getElementById('filter-logic-selector');
     const layoutSection = document.getElementById('layout-section');
     const toggleTrend = document.getElementById('toggle-trend');
     const toggleDist = document.getElementById('toggle-dist');
     const chartsMainContainer = document.getElementById('charts-main-container');
     const trendCard = document.getElementById('trend-card');
     const distCard = document.getElementById('dist-card');
+    const groupCard = document.getElementById('group-card');
+    const groupModeSelector = document.getElementById('group-mode-selector');
+    const exportGroupBtn = document.getElementById('export-group');
     const togglePreview = document.getElementById('toggle-preview');
 
     const showTargetToggle = document.getElementById('show-target');
     const showSpecToggle = document.getElementById('show-spec');
     const showLimitsToggle = document.getElementById('show-limits');
+    const showMRToggle = document.getElementById('show-mr');
+    const showZonesToggle = document.getElementById('show-zones');
+    const rulePresetSelector = document.getElementById('rule-preset-selector');
+    const ruleToggles = document.getElementById('rule-toggles');
 
     const totalRowsEl = document.getElementById('total-rows');
     const filteredRowsEl = document.getElementById('filtered-rows');
@@ -54,11 +145,43 @@ document.addEventListener('DOMContentLoaded', () => {
     const caValueEl = document.getElementById('ca-value');
     const cpValueEl = document.getElementById('cp-value');
     const cpkValueEl = document.getElementById('cpk-value');
+    const ppValueEl = document.getElementById('pp-value');
     const ppkValueEl = document.getElementById('ppk-value');
+    const cpCiEl = document.getElementById('cp-ci');
+    const cpkCiEl = document.getElementById('cpk-ci');
+    const ppCiEl = document.getElementById('pp-ci');
+    const ppkCiEl = document.getElementById('ppk-ci');
     const uclLclEl = document.getElementById('cl-text');
     const sdWithinEl = document.getElementById('sd-within');
+    const sdWithinItem = document.getElementById('sd-within-item');
     const sdBetweenEl = document.getElementById('sd-between');
     const sdOverallEl = document.getElementById('sd-overall');
+    const nonNormalCard = document.getElementById('nonnormal-card');
+    const nonNormalLabelEl = document.getElementById('nonnormal-label');
+    const nnPpValueEl = document.getElementById('nn-pp-value');
+    const nnPpkValueEl = document.getElementById('nn-ppk-value');
+    const nonNormalDetailEl = document.getElementById('nonnormal-detail');
+    const capabilityTableCard = document.getElementById('capability-table-card');
+    const capabilityTableBody = document.getElementById('capability-table-body');
+    const resetSeriesSpecsBtn = document.getElementById('reset-series-specs');
+    const columnProfileCard = document.getElementById('column-profile-card');
+    const columnProfileBody = document.getElementById('column-profile-body');
+    const resetColumnRolesBtn = document.getElementById('reset-column-roles');
+    const parseReportEl = document.getElementById('parse-report');
+    const dataQualityCard = document.getElementById('data-quality-card');
+    const dataQualityBody = document.getElementById('data-quality-body');
+    const outlierMethodSelector = document.getElementById('outlier-method-selector');
+    const duplicateSummaryEl = document.getElementById('duplicate-summary');
+    const outlierSummaryEl = document.getElementById('outlier-summary');
+    const toggleDuplicatesBtn = document.getElementById('toggle-duplicates');
+    const toggleOutliersBtn = document.getElementById('toggle-outliers');
+    const qualityRowsUsedEl = document.getElementById('quality-rows-used');
+    const trendRowsUsedEl = document.getElementById('trend-rows-used');
+    const distRowsUsedEl = document.getElementById('dist-rows-used');
+    const groupRowsUsedEl = document.getElementById('group-rows-used');
+    const violationsLabelEl = document.getElementById('violations-label');
+    const violationCountEl = document.getElementById('violation-count');
+    const violationListEl = document.getElementById('violation-list');
 
     const helpBtn = document.getElementById('show-help');
     const helpModal = document.getElementById('help-modal');
@@ -68,12 +191,49 @@ document.addEventListener('DOMContentLoaded', () => {
     const tableBody = document.getElementById('table-body');
 
     // App State
-    let rawData = [];
-    let filteredData = [];
-    let activeFilters = {};
+    let rowCount = 0; // Rows prepared by the data worker (reshaped, with computed columns); the rows stay there
+    let filteredCount = 0; // Rows left by the filters and exclusions; pages and analyses are fetched from the worker
+    let lastAnalysis = null; // Latest analysis from the data worker (see renderChart), redrawn by updateStats
+    let activeFilters = {}; // { column: { values, exclude } | { min, max } | { from, to } } for ExcelParser.filterIndices
+    let filterLogic = 'and'; // Combine column filters with 'and' / 'or'
     let currentSheet = '';
     let allColumns = [];
+    let categoricalColumns = []; // Columns setupFilters treats as categories (filterable / groupable)
     let hiddenSeries = new Set();
+    let seriesSpecs = {}; // Per-Y-column Target/USL/LSL overrides, keyed by column name
+    let sheetOptions = {}; // Header row / data range settings, keyed by sheet name
+    let headerSpecs = {}; // Target/USL/LSL read from header tolerances, keyed by column name (not persisted; seriesSpecs overrides win)
+    let sourceRowCount = 0; // Rows read from the sheets (kept in the data worker), before reshaping
+    let sourcePreview = []; // First RESHAPE_PREVIEW_ROWS of them, for the reshape preview
+    let sourceColumns = [];
+    let reshapeConfig = { mode: 'none' };
+    let computedColumns = []; // [{ name, expression }] added to every dataset after reshaping, in order
+    let computedErrors = {}; // Formulas the data worker could not compile, keyed by column name
+    let editingComputed = null; // Name of the computed column loaded into the editor
+    let savedViews = {}; // { workbook fingerprint|sheets: { views: [...], last } } named analysis views
+    let currentViewKey = ''; // savedViews key of the loaded selection
+    let viewActive = false; // A named, project or link view is applied: its settings are not stored as the defaults
+    let columnProfiles = {}; // ExcelParser.profileColumn results, keyed by column name
+    let columnOverrides = {}; // User type / role choices, keyed by column name
+    let uniqueValueCache = {}; // Filter values computed by the data worker, keyed by column name
+    let loadedFiles = []; // { id, name, sheetNames, importInfo, definedNames, file, url? } per parsed file, in load order
+    let pendingProject = null; // Opened project without embedded data, waiting for its files to be loaded
+    let linkView = null; // View from a page link without data files, applied to the first selection loaded
+    let projectSession = false; // Import / column settings come from an opened project for this session only
+    let sourceInfo = []; // Columns found in each loaded (file, sheet), reported by the data worker
+    let columnMapping = {}; // "file › sheet" -> { source column: merged column }; identity entries keep a column as is
+    let dateFormats = {}; // ExcelParser.DATE_FORMATS key per X column (absent = auto)
+    let qualityReport = { duplicates: [], outliers: {}, outlierValues: {} }; // Row indices flagged by the data quality panel
+    let excludeDuplicates = false;
+    let excludeOutliers = false;
+    let excludedRows = new Set(); // Row indices left out of filtering, charts, table and export
+    let filterSeq = 0; // Latest filter request; older worker results are ignored
+    let qualitySeq = 0; // Latest data quality scan; older worker results are ignored
+    let loadSeq = 0; // Latest sheet load / dataset rebuild; older worker results are ignored
+    let renderSeq = 0; // Latest chart render; analyses it or a newer filter superseded are ignored
+    let statsSeq = 0; // Latest statistics-only analysis (see updateStats)
+    let tableSeq = 0; // Latest table rebuild; pages fetched for an older one are dropped
+    let ruleRunLength = SpcRules.PRESETS['nelson'].runLength;
 
     // Pagination state for table
     let tablePageSize = 50;
@@ -82,69 +242,506 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Utility Functions for Spec Extraction ---
 
-    // Binding column selection to manual inputs
-    const updateInputFromCol = (selector, input) => {
+    // Binding column selection to manual inputs: the first valid numeric value in the filtered rows (looked up by
+    // the data worker), cleared when the column has none
+    const updateInputFromCol = async (selector, input) => {
         const col = selector.value;
-        if (col && filteredData.length > 0) {
-            // Find the first valid numeric value in the filtered data set
-            let foundValue = null;
-            for (let i = 0; i < filteredData.length; i++) {
-                const val = ExcelParser.parseNumber(filteredData[i][col]);
-                if (!isNaN(val)) {
-                    foundValue = val;
-                    break;
-                }
+        if (!col || filteredCount === 0) return;
+        try {
+            const foundValue = await DataClient.firstNumber(col);
+            if (selector.value === col) input.value = foundValue !== null ? foundValue : '';
+        } catch (err) {
+            if (!err.cancelled) console.error('Spec value lookup failed', err);
+        }
+    };
+
+    const syncSpecInputs = async () => {
+        await Promise.all([
+            updateInputFromCol(targetColSelector, targetInput),
+            updateInputFromCol(uslColSelector, uslInput),
+            updateInputFromCol(lslColSelector, lslInput)
+        ]);
+        syncRowSpecInputs();
+    };
+
+    // Spec columns read row by row: { target, usl, lsl } column names, or null when the option is off or no column is picked
+    const getRowSpecColumns = () => {
+        if (!rowSpecsToggle.checked) return null;
+        const columns = { target: targetColSelector.value, usl: uslColSelector.value, lsl: lslColSelector.value };
+        return Object.values(columns).some(Boolean) ? columns : null;
+    };
+
+    // A limit taken from its column row by row is not typed in; the input keeps the first value as a reference
+    function syncRowSpecInputs() {
+        const columns = getRowSpecColumns() || {};
+        [[targetInput, 'target'], [uslInput, 'usl'], [lslInput, 'lsl']].forEach(([input, key]) => {
+            input.disabled = !!columns[key];
+            input.title = columns[key] ? `逐列取自「${columns[key]}」` : '';
+        });
+    }
+
+    const getCurrentSpecs = () => ({
+        target: parseFloat(targetInput.value),
+        usl: parseFloat(uslInput.value),
+        lsl: parseFloat(lslInput.value),
+        columns: getRowSpecColumns(),
+        showTarget: showTargetToggle.checked,
+        showSpec: showSpecToggle.checked,
+        showLimits: showLimitsToggle.checked
+    });
+
+    // Shared specs, then the column's header tolerance, then any per-column override from the capability table
+    const getSeriesSpecs = (yCol, specs = getCurrentSpecs()) => {
+        const merged = { ...specs };
+        [headerSpecs[yCol] || {}, seriesSpecs[yCol] || {}].forEach(source => {
+            ['target', 'usl', 'lsl'].forEach(key => {
+                if (typeof source[key] === 'number' && !isNaN(source[key])) merged[key] = source[key];
+            });
+        });
+        return merged;
+    };
+
+    // --- Column Profiling (type / role) ---
+
+    const getColumnType = (col) => {
+        const override = columnOverrides[col] || {};
+        if (override.type) return override.type;
+        return columnProfiles[col] ? columnProfiles[col].type : 'text';
+    };
+
+    // An overridden type re-derives the default role unless the role itself was overridden
+    // Source columns added when several files / sheets are appended; always offered as categories
+    const SOURCE_COLUMNS = ['__file', '__sheet'];
+
+    const getColumnRole = (col) => {
+        const override = columnOverrides[col] || {};
+        if (override.role) return override.role;
+        if (SOURCE_COLUMNS.includes(col)) return 'category';
+        const profile = columnProfiles[col];
+        if (!profile) return 'measurement';
+        return override.type ? ExcelParser.suggestRole(profile, override.type) : profile.role;
+    };
+
+    const columnsWithRole = (columns, role) => columns.filter(c => getColumnRole(c) === role);
+
+    // Without a role override, integer columns with few distinct values (lot, cavity or batch numbers whose names
+    // do not look like categories) stay filterable and groupable by value, as before profiling existed;
+    // decimal measurements keep their range filter
+    const LOW_CARDINALITY_LIMIT = 50;
+    const isLowCardinalityNumber = (col) => {
+        const profile = columnProfiles[col];
+        return !(columnOverrides[col] || {}).role && getColumnType(col) === 'number' && !!profile &&
+            profile.integers && profile.unique > 1 && profile.unique <= LOW_CARDINALITY_LIMIT;
+    };
+
+    // --- Date formats per X column ---
+
+    [xDateFormatSelector, x2DateFormatSelector].forEach(selector => {
+        Object.entries(ExcelParser.DATE_FORMATS).forEach(([key, label]) => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = label;
+            selector.appendChild(opt);
+        });
+    });
+
+    // Each date checkbox shows the format select of its column
+    function syncDateFormatSelectors() {
+        [[xAxisSelector, xIsDateCheckbox, xDateFormatSelector], [xAxis2Selector, x2IsDateCheckbox, x2DateFormatSelector]]
+            .forEach(([axis, checkbox, selector]) => {
+                selector.value = ExcelParser.getDateFormat(axis.value);
+                selector.classList.toggle('hidden', !axis.value || !checkbox.checked);
+            });
+    }
+
+    // A new format changes date detection, sorting and labels, so the dataset is profiled again
+    [[xAxisSelector, xDateFormatSelector], [xAxis2Selector, x2DateFormatSelector]].forEach(([axis, selector]) => {
+        selector.addEventListener('change', () => {
+            if (!axis.value) return;
+            if (selector.value === 'auto') delete dateFormats[axis.value];
+            else dateFormats[axis.value] = selector.value;
+            ExcelParser.setDateFormats(dateFormats);
+            saveDateFormats();
+            if (sourceRowCount > 0) applyDataset();
+        });
+    });
+
+    // Date hint for the X-axis checkboxes, from the full-column profile instead of a 20-value sample
+    const getDateDetect = (col) => {
+        if (!col || !columnProfiles[col]) return { isDate: false, isUncertain: false, confidence: 0 };
+        if (getColumnType(col) === 'date') return { isDate: true, isUncertain: false, confidence: 1 };
+        const confidence = columnProfiles[col].dateRatio;
+        return { isDate: false, isUncertain: confidence > 0.2, confidence };
+    };
+
+    // --- Control Chart (Subgroup) Support ---
+
+    const getSpcOptions = () => ({
+        chartType: chartTypeSelector.value,
+        column: subgroupColSelector.value,
+        size: parseInt(subgroupSizeInput.value, 10) || 0,
+        lambda: parseFloat(ewmaLambdaInput.value),
+        L: parseFloat(ewmaLInput.value),
+        k: parseFloat(cusumKInput.value),
+        h: parseFloat(cusumHInput.value),
+        sizeColumn: sampleSizeColSelector.value
+    });
+
+    const isSubgroupChart = () => chartTypeSelector.value === 'xbar-r' || chartTypeSelector.value === 'xbar-s';
+
+    // EWMA / CUSUM: small-shift charts over the individual values
+    const isShiftChart = () => chartTypeSelector.value === 'ewma' || chartTypeSelector.value === 'cusum';
+
+    // p / np / c / u: Y columns hold counts, sample sizes come from the size column
+    const isAttributeChart = () => ['p', 'np', 'c', 'u'].includes(chartTypeSelector.value);
+
+    const hasValidAttributeConfig = () => chartTypeSelector.value === 'c' || !!sampleSizeColSelector.value;
+
+    // Attribute chart statistics for one Y column over the plotted rows
+    const computeAttributeStats = (yCol, rows) => {
+        const spc = getSpcOptions();
+        const needsSize = spc.chartType !== 'c';
+        const xCol = xAxisSelector.value;
+        const points = rows.map((row, i) => ({
+            x: i,
+            label: ChartRenderer.formatX(row[xCol], xIsDateCheckbox.checked, xCol),
+            count: ExcelParser.parseNumber(row[yCol]),
+            size: needsSize ? ExcelParser.parseNumber(row[spc.sizeColumn]) : 1
+        })).filter(pt => !isNaN(pt.count) && pt.size > 0);
+        const result = ExcelParser.getAttributeStats(points.map(pt => pt.count), points.map(pt => pt.size), spc.chartType);
+        return result ? { result, points } : null;
+    };
+
+    const hasValidShiftParams = () => {
+        const spc = getSpcOptions();
+        if (spc.chartType === 'ewma') return spc.lambda > 0 && spc.lambda <= 1 && spc.L > 0;
+        if (spc.chartType === 'cusum') return spc.k >= 0 && spc.h > 0;
+        return true;
+    };
+
+    const hasValidSubgroups = () => {
+        const spc = getSpcOptions();
+        return !!spc.column || (spc.size >= 2 && spc.size <= 25);
+    };
+
+    /**
+     * Plotted rows and per-series statistics of the filtered rows, computed by the data worker (DataTasks analyze)
+     * and shared by the charts, violations, KPI cards and capability table:
+     * series[yCol] = { specs, stats (raw values, as drawn), capability, groups }
+     * The rows come back in the trend chart's selection and ordering, so moving ranges and subgroups line up with
+     * the plot, cut down to the columns the charts read
+     */
+    const requestAnalysis = (yCols) => {
+        const shared = getCurrentSpecs();
+        const specs = {};
+        yCols.forEach(yCol => { specs[yCol] = getSeriesSpecs(yCol, shared); });
+        const spc = getSpcOptions();
+        const columns = new Set([xAxisSelector.value, xAxis2Selector.value, ...yCols, groupBySelector.value, spc.column, spc.sizeColumn]);
+        Object.values(specs).forEach(s => Object.values(s.columns || {}).forEach(col => columns.add(col)));
+        columns.delete('');
+        return DataClient.analyze({
+            yCols,
+            xColumn: xAxisSelector.value,
+            isXDate: xIsDateCheckbox.checked,
+            specs,
+            subgroups: isSubgroupChart() && hasValidSubgroups() ? spc : null,
+            groupColumn: groupBySelector.value,
+            capabilityMethod: capabilityMethodSelector.value,
+            columns: [...columns]
+        });
+    };
+
+    // An analysis serves the KPI cards and capability table when it has the same Y columns (hidden series are left
+    // out of the charts), group-by column and non-normal method
+    const analysisCovers = (analysis, yCols) => !!analysis && analysis.yCols.join('\n') === yCols.join('\n') &&
+        analysis.groupColumn === groupBySelector.value && analysis.capabilityMethod === capabilityMethodSelector.value;
+
+    // --- Run Rules ---
+
+    const getRuleOptions = () => ({
+        rules: Array.from(ruleToggles.querySelectorAll('input:checked')).map(cb => parseInt(cb.value, 10)),
+        runLength: ruleRunLength
+    });
+
+    const renderRuleToggles = () => {
+        ruleToggles.innerHTML = '';
+        SpcRules.RULES.forEach(rule => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-item';
+
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.value = rule.id;
+            cb.addEventListener('change', () => {
+                rulePresetSelector.value = 'custom';
+                saveLayoutConfig();
+                if (filteredCount > 0) renderChart();
+            });
+
+            const span = document.createElement('span');
+            span.textContent = `${rule.id}. ${SpcRules.describeRule(rule.id, ruleRunLength)}`;
+
+            label.appendChild(cb);
+            label.appendChild(span);
+            ruleToggles.appendChild(label);
+        });
+    };
+
+    const applyRulePreset = (preset, enabledRules) => {
+        const config = SpcRules.PRESETS[preset];
+        if (config) ruleRunLength = config.runLength;
+        renderRuleToggles();
+        const enabled = enabledRules || (config ? config.rules : []);
+        ruleToggles.querySelectorAll('input').forEach(cb => {
+            cb.checked = enabled.includes(parseInt(cb.value, 10));
+        });
+    };
+
+    rulePresetSelector.addEventListener('change', () => {
+        if (rulePresetSelector.value !== 'custom') applyRulePreset(rulePresetSelector.value);
+        saveLayoutConfig();
+        if (filteredCount > 0) renderChart();
+    });
+
+    // EWMA / CUSUM signals per series (the data worker's analysis), listed in the violations panel in place of run rules
+    const computeShiftSignals = (yCols, { rows, series }) => {
+        const spc = getSpcOptions();
+        const xCol = xAxisSelector.value;
+        const list = [];
+
+        yCols.forEach(yCol => {
+            const { stats } = series[yCol];
+            const points = rows.map((row, i) => ({ x: i, y: ExcelParser.parseNumber(row[yCol]), label: ChartRenderer.formatX(row[xCol], xIsDateCheckbox.checked, xCol) }))
+                .filter(pt => !isNaN(pt.y));
+            const values = points.map(pt => pt.y);
+            const params = { mean: stats.mean, sigma: stats.stdevWithin };
+
+            if (spc.chartType === 'ewma') {
+                const ewma = ExcelParser.getEwma(values, { ...params, lambda: spc.lambda, L: spc.L });
+                if (!ewma) return;
+                ewma.signals.forEach((flag, i) => {
+                    if (flag) list.push({ yCol, x: points[i].x, label: points[i].label, reason: ewma.z[i] > ewma.ucl[i] ? 'EWMA > UCL' : 'EWMA < LCL' });
+                });
+            } else {
+                const cusum = ExcelParser.getCusum(values, { ...params, k: spc.k, h: spc.h });
+                if (!cusum) return;
+                cusum.signals.forEach((flag, i) => {
+                    if (flag) list.push({ yCol, x: points[i].x, label: points[i].label, reason: cusum.cPlus[i] > cusum.H ? 'C⁺ > H (向上偏移)' : 'C⁻ > H (向下偏移)' });
+                });
             }
+        });
+
+        return { byColumn: {}, list };
+    };
+
+    // Evaluate run rules for each series against its own CL/UCL/LCL (the limits drawn for it), keyed by chart x position
+    const computeViolations = (yCols, analysis) => {
+        if (isShiftChart()) return computeShiftSignals(yCols, analysis);
+        if (isAttributeChart()) {
+            // Attribute charts flag points beyond their own (possibly per-point) limits
+            const list = [];
+            yCols.forEach(yCol => {
+                const attr = computeAttributeStats(yCol, analysis.rows);
+                if (!attr) return;
+                attr.result.signals.forEach((flag, i) => {
+                    if (!flag) return;
+                    const pt = attr.points[i];
+                    const above = attr.result.values[i] > attr.result.ucl[i];
+                    list.push({ yCol, x: pt.x, label: pt.label, reason: `${attr.result.chartType} ${above ? '> UCL' : '< LCL'}` });
+                });
+            });
+            return { byColumn: {}, list };
+        }
+        const options = getRuleOptions();
+        if (options.rules.length === 0) return null;
+
+        const byColumn = {};
+        const list = [];
+        const { rows, series } = analysis;
+        const xCol = xAxisSelector.value;
 
-            if (foundValue !== null) {
-                input.value = foundValue;
+        yCols.forEach(yCol => {
+            const { stats } = series[yCol];
+            const sg = stats.subgroup;
+            let points, limits;
+            if (sg) {
+                points = sg.groups.map(g => ({ x: g.index, y: g.mean, label: g.key }));
+                limits = { cl: sg.xbar.cl, ucl: sg.xbar.ucl, lcl: sg.xbar.lcl };
             } else {
-                input.value = ''; // Clear if no numeric value found in the entire column
+                points = rows.map((row, i) => ({ x: i, y: ExcelParser.parseNumber(row[yCol]), label: ChartRenderer.formatX(row[xCol], xIsDateCheckbox.checked, xCol) }))
+                    .filter(pt => !isNaN(pt.y));
+                limits = { cl: stats.mean, ucl: stats.ucl, lcl: stats.lcl };
             }
+
+            byColumn[yCol] = SpcRules.evaluate(points.map(pt => pt.y), limits, options).map(v => {
+                const pt = points[v.index];
+                list.push({ yCol, x: pt.x, label: pt.label, rules: v.rules });
+                return { x: pt.x, rules: v.rules };
+            });
+        });
+
+        return { byColumn, list };
+    };
+
+    const updateViolationsPanel = (violations) => {
+        violationsLabelEl.textContent = isShiftChart()
+            ? `偏移訊號 (${chartTypeSelector.value === 'ewma' ? 'EWMA' : 'CUSUM'})`
+            : isAttributeChart() ? `超出界限 (${chartTypeSelector.value} 圖)` : '判異點 (Run Rules)';
+        violationListEl.innerHTML = '';
+        if (!violations) {
+            violationCountEl.textContent = '-';
+            violationCountEl.style.color = '';
+            return;
         }
+
+        violationCountEl.textContent = violations.list.length;
+        violationCountEl.style.color = violations.list.length > 0 ? 'var(--system-red)' : 'var(--status-green)';
+
+        const fragment = document.createDocumentFragment();
+        violations.list.forEach(v => {
+            // Column names and labels come from the spreadsheet, so they are added as text, never as markup
+            const li = document.createElement('li');
+            const point = document.createElement('b');
+            point.textContent = `#${v.x + 1}`;
+            if (v.reason) {
+                li.title = v.reason;
+                li.append(point, ` ${v.yCol} @ ${v.label} — ${v.reason}`);
+            } else {
+                li.title = v.rules.map(id => `${id}. ${SpcRules.describeRule(id, ruleRunLength)}`).join('\n');
+                li.append(point, ` ${v.yCol} @ ${v.label} — 規則 ${v.rules.join(', ')}`);
+            }
+            fragment.appendChild(li);
+        });
+        violationListEl.appendChild(fragment);
     };
 
-    const syncSpecInputs = () => {
-        updateInputFromCol(targetColSelector, targetInput);
-        updateInputFromCol(uslColSelector, uslInput);
-        updateInputFromCol(lslColSelector, lslInput);
+    [ciLevelSelector, ciColorToggle].forEach(el => el.addEventListener('change', () => {
+        saveLayoutConfig();
+        if (filteredCount > 0) updateStats();
+    }));
+
+    capabilityMethodSelector.addEventListener('change', () => {
+        saveLayoutConfig();
+        if (filteredCount > 0) updateStats();
+    });
+
+    const syncChartTypeConfig = () => {
+        subgroupConfig.classList.toggle('hidden', !isSubgroupChart());
+        ewmaConfig.classList.toggle('hidden', chartTypeSelector.value !== 'ewma');
+        cusumConfig.classList.toggle('hidden', chartTypeSelector.value !== 'cusum');
+        attributeConfig.classList.toggle('hidden', !isAttributeChart());
     };
 
+    chartTypeSelector.addEventListener('change', () => {
+        syncChartTypeConfig();
+        if (filteredCount > 0 && (!isSubgroupChart() || hasValidSubgroups()) &&
+            (!isAttributeChart() || hasValidAttributeConfig())) renderChart();
+    });
+
+    sampleSizeColSelector.addEventListener('change', () => {
+        sampleSizeColSelector.dataset.prevValue = sampleSizeColSelector.value;
+        if (filteredCount > 0 && isAttributeChart() && hasValidAttributeConfig()) renderChart();
+    });
+
+    [ewmaLambdaInput, ewmaLInput, cusumKInput, cusumHInput].forEach(input => {
+        input.addEventListener('change', () => {
+            if (filteredCount > 0 && isShiftChart() && hasValidShiftParams()) renderChart();
+        });
+    });
+
+    subgroupColSelector.addEventListener('change', () => {
+        subgroupColSelector.dataset.prevValue = subgroupColSelector.value;
+        if (subgroupColSelector.value) subgroupSizeInput.value = '';
+        if (filteredCount > 0 && isSubgroupChart() && hasValidSubgroups()) renderChart();
+    });
+
+    subgroupSizeInput.addEventListener('change', () => {
+        if (subgroupSizeInput.value) {
+            subgroupColSelector.value = '';
+            subgroupColSelector.dataset.prevValue = '';
+        }
+        if (filteredCount > 0 && isSubgroupChart() && hasValidSubgroups()) renderChart();
+    });
+
     // --- Persistence Support ---
     const STORAGE_KEY_LAYOUT = 'trendchart_layout_config';
     const STORAGE_KEY_FILTERS = 'trendchart_filters_config';
+    const STORAGE_KEY_FILTER_LOGIC = 'trendchart_filter_logic';
+    const STORAGE_KEY_SERIES_SPECS = 'trendchart_series_specs';
+    const STORAGE_KEY_SHEET_OPTIONS = 'trendchart_sheet_options';
+    const STORAGE_KEY_RESHAPE = 'trendchart_reshape_config';
+    const STORAGE_KEY_COLUMN_ROLES = 'trendchart_column_roles';
+    const STORAGE_KEY_COLUMN_MAPPING = 'trendchart_column_mapping';
+    const STORAGE_KEY_NUMBER_FORMAT = 'trendchart_number_format';
+    const STORAGE_KEY_DATE_FORMATS = 'trendchart_date_formats';
+    const STORAGE_KEY_COMPUTED = 'trendchart_computed_columns';
+    const STORAGE_KEY_VIEWS = 'trendchart_views';
+
+    // Toggles and chart options shared by the saved layout and named views
+    const getLayoutConfig = () => ({
+        trend: toggleTrend.checked,
+        dist: toggleDist.checked,
+        preview: togglePreview.checked,
+        distMode: distModeSelector.value,
+        groupMode: groupModeSelector.value,
+        outlierMethod: outlierMethodSelector.value,
+        capabilityMethod: capabilityMethodSelector.value,
+        ciLevel: ciLevelSelector.value,
+        ciColor: ciColorToggle.checked,
+        target: showTargetToggle.checked,
+        spec: showSpecToggle.checked,
+        rowSpecs: rowSpecsToggle.checked,
+        limits: showLimitsToggle.checked,
+        mr: showMRToggle.checked,
+        zones: showZonesToggle.checked,
+        rulePreset: rulePresetSelector.value,
+        rules: getRuleOptions().rules,
+        ruleRunLength: ruleRunLength
+    });
 
+    // Layout, filters and per-column specs are stored as the defaults for other workbooks only while no view is
+    // applied; edits to a view stay in memory until it is saved again
     const saveLayoutConfig = () => {
-        const config = {
-            trend: toggleTrend.checked,
-            dist: toggleDist.checked,
-            preview: togglePreview.checked,
-            target: showTargetToggle.checked,
-            spec: showSpecToggle.checked,
-            limits: showLimitsToggle.checked
-        };
-        localStorage.setItem(STORAGE_KEY_LAYOUT, JSON.stringify(config));
+        if (viewActive) return;
+        localStorage.setItem(STORAGE_KEY_LAYOUT, JSON.stringify(getLayoutConfig()));
+    };
+
+    const applyLayoutConfig = (config) => {
+        if (config.trend !== undefined) toggleTrend.checked = config.trend;
+        if (config.dist !== undefined) toggleDist.checked = config.dist;
+        if (config.preview !== undefined) togglePreview.checked = config.preview;
+        if (config.distMode !== undefined) distModeSelector.value = config.distMode;
+        if (config.groupMode !== undefined) groupModeSelector.value = config.groupMode;
+        if (config.outlierMethod !== undefined) outlierMethodSelector.value = config.outlierMethod;
+        if (config.capabilityMethod !== undefined) capabilityMethodSelector.value = config.capabilityMethod;
+        if (config.ciLevel !== undefined) ciLevelSelector.value = config.ciLevel;
+        if (config.ciColor !== undefined) ciColorToggle.checked = config.ciColor;
+        if (config.target !== undefined) showTargetToggle.checked = config.target;
+        if (config.spec !== undefined) showSpecToggle.checked = config.spec;
+        if (config.rowSpecs !== undefined) rowSpecsToggle.checked = config.rowSpecs;
+        if (config.limits !== undefined) showLimitsToggle.checked = config.limits;
+        if (config.mr !== undefined) showMRToggle.checked = config.mr;
+        if (config.zones !== undefined) showZonesToggle.checked = config.zones;
+        if (config.ruleRunLength !== undefined) ruleRunLength = config.ruleRunLength;
+        if (config.rulePreset !== undefined) {
+            rulePresetSelector.value = config.rulePreset;
+            applyRulePreset(config.rulePreset, config.rules);
+        }
     };
 
     const loadLayoutConfig = () => {
         try {
             const saved = localStorage.getItem(STORAGE_KEY_LAYOUT);
-            if (saved) {
-                const config = JSON.parse(saved);
-                if (config.trend !== undefined) toggleTrend.checked = config.trend;
-                if (config.dist !== undefined) toggleDist.checked = config.dist;
-                if (config.preview !== undefined) togglePreview.checked = config.preview;
-                if (config.target !== undefined) showTargetToggle.checked = config.target;
-                if (config.spec !== undefined) showSpecToggle.checked = config.spec;
-                if (config.limits !== undefined) showLimitsToggle.checked = config.limits;
-            }
+            if (saved) applyLayoutConfig(JSON.parse(saved));
         } catch (e) {
             console.warn('Failed to load layout config:', e);
         }
     };
 
     const saveFiltersConfig = () => {
+        if (viewActive) return;
         localStorage.setItem(STORAGE_KEY_FILTERS, JSON.stringify(activeFilters));
+        localStorage.setItem(STORAGE_KEY_FILTER_LOGIC, filterLogic);
     };
 
     const loadFiltersConfig = () => {
@@ -152,12 +749,161 @@ document.addEventListener('DOMContentLoaded', () => {
             const saved = localStorage.getItem(STORAGE_KEY_FILTERS);
             if (saved) {
                 activeFilters = JSON.parse(saved);
+                // Filters saved before multi-select hold one value per column
+                Object.keys(activeFilters).forEach(col => {
+                    const condition = activeFilters[col];
+                    if (condition === null || typeof condition !== 'object') activeFilters[col] = { values: [String(condition)], exclude: false };
+                });
             }
+            filterLogic = localStorage.getItem(STORAGE_KEY_FILTER_LOGIC) === 'or' ? 'or' : 'and';
+            filterLogicSelector.value = filterLogic;
         } catch (e) {
             console.warn('Failed to load filters config:', e);
         }
     };
 
+    const saveSeriesSpecs = () => {
+        if (viewActive) return;
+        localStorage.setItem(STORAGE_KEY_SERIES_SPECS, JSON.stringify(seriesSpecs));
+    };
+
+    const loadSeriesSpecs = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_SERIES_SPECS);
+            if (saved) {
+                seriesSpecs = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load series specs:', e);
+        }
+    };
+
+    // Import and column settings opened from a project for this session only are not stored over the user's own
+    const saveSheetOptions = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_SHEET_OPTIONS, JSON.stringify(sheetOptions));
+    };
+
+    const loadSheetOptions = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_SHEET_OPTIONS);
+            if (saved) {
+                sheetOptions = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load sheet options:', e);
+        }
+    };
+
+    const saveReshapeConfig = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_RESHAPE, JSON.stringify(reshapeConfig));
+    };
+
+    const loadReshapeConfig = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_RESHAPE);
+            if (saved) {
+                reshapeConfig = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load reshape config:', e);
+        }
+    };
+
+    const saveColumnOverrides = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_COLUMN_ROLES, JSON.stringify(columnOverrides));
+    };
+
+    const loadColumnOverrides = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_COLUMN_ROLES);
+            if (saved) {
+                columnOverrides = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load column roles:', e);
+        }
+    };
+
+    const saveColumnMapping = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_COLUMN_MAPPING, JSON.stringify(columnMapping));
+    };
+
+    const loadColumnMapping = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_COLUMN_MAPPING);
+            if (saved) {
+                columnMapping = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.warn('Failed to load column mapping:', e);
+        }
+    };
+
+    // The number format lives in ExcelParser (main thread) and is sent to the worker with each prepare
+    const saveNumberFormat = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_NUMBER_FORMAT, JSON.stringify(ExcelParser.getNumberFormat()));
+    };
+
+    const loadNumberFormat = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_NUMBER_FORMAT);
+            if (saved) {
+                ExcelParser.setNumberFormat(JSON.parse(saved));
+            }
+        } catch (e) {
+            console.warn('Failed to load number format:', e);
+        }
+    };
+
+    const saveDateFormats = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_DATE_FORMATS, JSON.stringify(dateFormats));
+    };
+
+    const loadDateFormats = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_DATE_FORMATS);
+            if (saved) {
+                dateFormats = JSON.parse(saved);
+                ExcelParser.setDateFormats(dateFormats);
+            }
+        } catch (e) {
+            console.warn('Failed to load date formats:', e);
+        }
+    };
+
+    const saveComputedColumns = () => {
+        if (projectSession) return;
+        localStorage.setItem(STORAGE_KEY_COMPUTED, JSON.stringify(computedColumns));
+    };
+
+    const loadComputedColumns = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_COMPUTED);
+            if (saved) computedColumns = JSON.parse(saved);
+        } catch (e) {
+            console.warn('Failed to load computed columns:', e);
+        }
+    };
+
+    const saveViews = () => {
+        localStorage.setItem(STORAGE_KEY_VIEWS, JSON.stringify(savedViews));
+    };
+
+    const loadViews = () => {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY_VIEWS);
+            if (saved) savedViews = JSON.parse(saved);
+        } catch (e) {
+            console.warn('Failed to load saved views:', e);
+        }
+    };
+
     // --- Initialization ---
 
     // Help Modal
@@ -173,7 +919,7 @@ document.addEventListener('DOMContentLoaded', () => {
         chartsMainContainer.classList.toggle('single-view', visibleCount === 1);
         chartsMainContainer.classList.toggle('dual-view', visibleCount === 2);
         // Re-render if data exists to apply height changes
-        if (filteredData.length > 0) renderChart();
+        if (filteredCount > 0) renderChart();
         // Trigger resize
         window.dispatchEvent(new Event('resize'));
     };
@@ -187,29 +933,62 @@ document.addEventListener('DOMContentLoaded', () => {
         updateLayout();
     });
 
+    distModeSelector.addEventListener('change', () => {
+        saveLayoutConfig();
+        if (filteredCount > 0) renderChart();
+    });
+
+    groupModeSelector.addEventListener('change', () => {
+        saveLayoutConfig();
+        if (filteredCount > 0) renderChart();
+    });
+
+    groupBySelector.addEventListener('change', () => {
+        groupBySelector.dataset.prevValue = groupBySelector.value;
+        if (filteredCount > 0) renderChart();
+    });
+
     togglePreview.addEventListener('change', () => {
         saveLayoutConfig();
-        if (filteredData.length > 0) {
+        if (filteredCount > 0) {
             updateTable();
         }
     });
 
-    [showTargetToggle, showSpecToggle, showLimitsToggle].forEach(t => {
+    [showTargetToggle, showSpecToggle, showLimitsToggle, showMRToggle, showZonesToggle].forEach(t => {
         t.addEventListener('change', () => {
             saveLayoutConfig();
-            if (filteredData.length > 0) renderChart();
+            if (filteredCount > 0) renderChart();
         });
     });
 
+    rowSpecsToggle.addEventListener('change', () => {
+        syncRowSpecInputs();
+        saveLayoutConfig();
+        if (filteredCount > 0) renderChart();
+    });
+    [targetColSelector, uslColSelector, lslColSelector].forEach(selector => selector.addEventListener('change', syncRowSpecInputs));
+
+    applyRulePreset(rulePresetSelector.value); // Default rule set before restoring saved config
     loadLayoutConfig(); // Load before initial layout update
     loadFiltersConfig(); // Load previous filters
+    loadSeriesSpecs(); // Load per-column spec overrides
+    loadSheetOptions(); // Load per-sheet header / range settings
+    loadReshapeConfig(); // Load the last unpivot / pivot step
+    loadColumnOverrides(); // Load column type / role overrides
+    loadColumnMapping(); // Load column alignment between files
+    loadNumberFormat(); // Load decimal / thousands separators and unit handling
+    showNumberFormat();
+    loadDateFormats(); // Load per-column date formats (ROC, day-first, ...)
+    loadComputedColumns(); // Load calculated column formulas
+    loadViews(); // Load named views per workbook / sheet
     updateLayout(); // Initialize layout state
 
     // Theme Toggle (Unified Single Precision Style)
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
         themeToggle.addEventListener('click', () => {
-            if (filteredData.length > 0) renderChart();
+            if (filteredCount > 0) renderChart();
         });
     }
 
@@ -230,82 +1009,256 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         dropZone.classList.remove('active');
         const files = e.dataTransfer.files;
-        if (files.length) handleFile(files[0]);
+        if (files.length) handleFiles(files);
     });
 
     fileInput.addEventListener('change', (e) => {
-        if (e.target.files.length) handleFile(e.target.files[0]);
+        if (e.target.files.length) handleFiles(e.target.files);
     });
 
-    removeFileBtn.addEventListener('click', resetApp);
+    // More files can be added (button or drop onto the file list) without reloading the loaded ones
+    addFileBtn.addEventListener('click', () => fileInput.click());
 
-    async function handleFile(file) {
-        if (!file.name.match(/\.(xlsx|xls)$/i)) {
-            alert('請上傳 Excel 檔案 (.xlsx, .xls)');
-            return;
-        }
+    fileInfo.addEventListener('dragover', (e) => e.preventDefault());
 
-        filenameLabel.textContent = file.name;
-        dropZone.classList.add('hidden');
-        fileInfo.classList.remove('hidden');
+    fileInfo.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (e.dataTransfer.files.length) handleFiles(e.dataTransfer.files);
+    });
 
+    /**
+     * Run a DataClient task behind the progress overlay (shown only if it takes longer than a moment)
+     * start(onProgress) must return the task promise
+     */
+    async function runWithProgress(label, start) {
+        progressLabelEl.textContent = label;
+        progressFillEl.style.width = '0%';
+        cancelTaskBtn.classList.add('hidden');
+        const timer = setTimeout(() => progressOverlay.classList.remove('hidden'), 200);
         try {
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                const data = e.target.result;
-                const sheetNames = await ExcelParser.parseFile(data);
-
-                // Populate sheets
-                sheetSelector.innerHTML = '';
-                sheetNames.forEach(name => {
-                    const opt = document.createElement('option');
-                    opt.value = name;
-                    opt.textContent = name;
-                    sheetSelector.appendChild(opt);
-                });
+            return await start((text, fraction) => {
+                progressLabelEl.textContent = text;
+                progressFillEl.style.width = `${Math.round(fraction * 100)}%`;
+                // Only worker tasks can be interrupted
+                cancelTaskBtn.classList.toggle('hidden', !DataClient.isAsync());
+            });
+        } finally {
+            clearTimeout(timer);
+            progressOverlay.classList.add('hidden');
+        }
+    }
+
+    // Cancelling drops the worker's workbook, so the file has to be loaded again
+    cancelTaskBtn.addEventListener('click', () => DataClient.cancel());
 
-                sheetSection.classList.remove('hidden');
+    // A worker that dies mid-session (e.g. out of memory) loses every parsed file; start over
+    DataClient.setOnLost(() => {
+        resetApp();
+        alert('背景處理意外中止 (可能記憶體不足)，已清除載入的檔案，請重新載入');
+    });
 
-                // Persistence Logic: Try to restore previous selections
-                const previousSelectedSheets = Array.from(sheetSelector.selectedOptions).map(opt => opt.value);
-                let restored = false;
+    /**
+     * Tooltip text for the detected import format, e.g. "CSV · Big5 · 分隔符號: Tab"
+     */
+    function describeImport(info) {
+        if (!info) return '';
+        const delimiterNames = { ',': '逗號', '\t': 'Tab', ';': '分號', '|': '直線' };
+        const parts = [info.format];
+        if (info.encoding) parts.push(info.encoding);
+        if (info.delimiter) parts.push(`分隔符號: ${delimiterNames[info.delimiter] || info.delimiter}`);
+        return parts.join(' · ');
+    }
 
-                if (previousSelectedSheets.length > 0) {
-                    let validSelections = 0;
-                    for (let i = 0; i < sheetSelector.options.length; i++) {
-                        if (previousSelectedSheets.includes(sheetSelector.options[i].value)) {
-                            sheetSelector.options[i].selected = true;
-                            validSelections++;
-                        }
-                    }
-                    if (validSelections > 0) {
-                        loadSheet(Array.from(sheetSelector.selectedOptions).map(opt => opt.value));
-                        restored = true;
-                    }
-                }
+    const readFileBuffer = (file) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+
+    /**
+     * Parse dropped / picked files and append them to the loaded set
+     * Sheets of the new files are selected when their names match the current selection, else their first sheet
+     * A .trendchart.json among them is opened as a project instead
+     */
+    async function handleFiles(fileList) {
+        // A project file dropped together with its data files is opened once they are parsed
+        const project = Array.from(fileList).find(f => isProjectFile(f.name));
+        const files = Array.from(fileList).filter(f => !isProjectFile(f.name));
+        const unsupported = files.filter(f => !ExcelParser.isSupportedFile(f.name));
+        if (unsupported.length > 0) {
+            alert(`請上傳 Excel / ODS / CSV / TSV / JSON 檔案 (已略過: ${unsupported.map(f => f.name).join(', ')})`);
+        }
+        const supported = files.filter(f => ExcelParser.isSupportedFile(f.name));
+        fileInput.value = '';
+        if (supported.length === 0) {
+            if (project) openProjectFile(project);
+            return;
+        }
 
-                if (!restored && sheetNames.length > 0) {
-                    sheetSelector.options[0].selected = true;
-                    loadSheet([sheetNames[0]]);
+        dropZone.classList.add('hidden');
+        fileInfo.classList.remove('hidden');
+
+        const previousSheets = Array.from(sheetSelector.selectedOptions).map(opt => opt.dataset.sheet || opt.value);
+        const added = [];
+        for (const file of supported) {
+            try {
+                added.push(await addLoadedFile(file.name, await readFileBuffer(file), file));
+            } catch (parseErr) {
+                // Cancelling terminates the worker, which drops every parsed workbook
+                if (parseErr.cancelled) {
+                    resetApp();
+                    return;
                 }
-            };
-            reader.readAsArrayBuffer(file);
-        } catch (err) {
-            console.error(err);
-            alert('檔案讀取失敗');
+                alert(`檔案解析失敗 (${file.name}): ${parseErr.message}`);
+            }
+        }
+
+        if (loadedFiles.length === 0) {
             resetApp();
+            return;
+        }
+        renderFileList();
+        if (project) {
+            await openProjectFile(project);
+            return;
+        }
+        if (added.length === 0) return;
+        if (pendingProject && missingProjectFiles(pendingProject).length === 0) {
+            await openProject(pendingProject);
+            return;
         }
+
+        const keep = Array.from(sheetSelector.selectedOptions).map(opt => opt.value);
+        added.forEach(file => {
+            const matching = file.sheetNames.filter(name => previousSheets.includes(name));
+            const sheets = matching.length > 0 ? matching : file.sheetNames.slice(0, 1);
+            sheets.forEach(name => keep.push(sheetValue(file.id, name)));
+        });
+        populateSheetSelector(keep);
+        sheetSection.classList.remove('hidden');
+
+        const selected = Array.from(sheetSelector.selectedOptions).map(opt => opt.value);
+        if (selected.length > 0) loadSheet(selected, linkView);
+        linkView = null;
     }
 
-    function resetApp() {
-        rawData = [];
-        filteredData = [];
-        activeFilters = {};
+    // Parse one file in the data worker and append it to the loaded set; the Blob is kept for project export
+    async function addLoadedFile(name, data, file) {
+        const parsed = await runWithProgress(`解析 ${name}`,
+            (onProgress) => DataClient.parseFile(data, name, { onProgress }));
+        const entry = { id: parsed.fileId, name, sheetNames: parsed.sheetNames, importInfo: parsed.importInfo, definedNames: parsed.definedNames, file };
+        loadedFiles.push(entry);
+        return entry;
+    }
 
-        fileInput.value = '';
+    // Sheet selector values identify a sheet within a file: "<fileId>/<sheet>" (sheet names cannot contain "/")
+    const sheetValue = (fileId, sheet) => `${fileId}/${sheet}`;
+
+    const sourceOf = (value) => {
+        const slash = value.indexOf('/');
+        return { fileId: Number(value.slice(0, slash)), sheet: value.slice(slash + 1) };
+    };
+
+    // List every sheet of every loaded file, prefixed with the file name once there is more than one
+    function populateSheetSelector(selectedValues) {
+        sheetSelector.innerHTML = '';
+        loadedFiles.forEach(file => {
+            file.sheetNames.forEach(name => {
+                const opt = document.createElement('option');
+                opt.value = sheetValue(file.id, name);
+                opt.dataset.sheet = name;
+                opt.textContent = loadedFiles.length > 1 ? `${file.name} › ${name}` : name;
+                opt.selected = selectedValues.includes(opt.value);
+                sheetSelector.appendChild(opt);
+            });
+        });
+    }
+
+    function renderFileList() {
+        fileListEl.innerHTML = '';
+        loadedFiles.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'file-info';
+
+            const icon = document.createElement('i');
+            icon.setAttribute('data-lucide', 'file-text');
+
+            const name = document.createElement('span');
+            name.className = 'file-name';
+            name.textContent = file.name;
+            name.title = describeImport(file.importInfo);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-button';
+            removeBtn.title = '移除檔案';
+            removeBtn.innerHTML = '<i data-lucide="x"></i>';
+            removeBtn.addEventListener('click', () => removeLoadedFile(file.id));
+
+            item.appendChild(icon);
+            item.appendChild(name);
+            item.appendChild(removeBtn);
+            fileListEl.appendChild(item);
+        });
+        if (window.lucide) window.lucide.createIcons();
+    }
+
+    // Drop one file and reload the remaining selection; removing the last file resets the app
+    function removeLoadedFile(fileId) {
+        loadedFiles = loadedFiles.filter(f => f.id !== fileId);
+        DataClient.removeFile(fileId).catch(() => {});
+        if (loadedFiles.length === 0) {
+            resetApp();
+            return;
+        }
+        renderFileList();
+
+        const keep = Array.from(sheetSelector.selectedOptions).map(opt => opt.value)
+            .filter(value => sourceOf(value).fileId !== fileId);
+        populateSheetSelector(keep);
+        if (sheetSelector.selectedOptions.length === 0) sheetSelector.options[0].selected = true;
+        loadSheet(Array.from(sheetSelector.selectedOptions).map(opt => opt.value));
+    }
+
+    function resetApp() {
+        rowCount = 0;
+        if (viewActive) leaveView();
+        if (projectSession) restoreStoredSettings();
+        filteredCount = 0;
+        lastAnalysis = null;
+        activeFilters = {};
+        headerSpecs = {};
+        sourceRowCount = 0;
+        sourcePreview = [];
+        sourceColumns = [];
+        uniqueValueCache = {};
+        loadedFiles.forEach(file => DataClient.removeFile(file.id).catch(() => {}));
+        loadedFiles = [];
+        sourceInfo = [];
+        qualityReport = { duplicates: [], outliers: {}, outlierValues: {} };
+        excludeDuplicates = false;
+        excludeOutliers = false;
+        excludedRows = new Set();
+        filterSeq++;
+        qualitySeq++;
+        loadSeq++;
+        renderSeq++;
+        statsSeq++;
+        tableSeq++;
+
+        fileInput.value = '';
+        fileListEl.innerHTML = '';
         dropZone.classList.remove('hidden');
         fileInfo.classList.add('hidden');
         sheetSection.classList.add('hidden');
+        openColumnMappingBtn.classList.add('hidden');
+        columnMappingModal.classList.add('hidden');
+        reshapeSection.classList.add('hidden');
+        viewsSection.classList.add('hidden');
+        currentViewKey = '';
+        computedSection.classList.add('hidden');
+        computedErrors = {};
+        resetComputedForm();
         configSection.classList.add('hidden');
         filterSection.classList.add('hidden');
 
@@ -314,11 +1267,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const countDisplay = document.getElementById('table-count');
         if (countDisplay) countDisplay.textContent = '';
         yMeanEl.textContent = '0';
+        updateViolationsPanel(null);
 
         tableHead.innerHTML = '';
         tableBody.innerHTML = '';
         ChartRenderer.clearChart('plotly-trend');
         ChartRenderer.clearChart('plotly-dist');
+        groupCard.classList.add('hidden');
+        capabilityTableCard.classList.add('hidden');
+        columnProfileCard.classList.add('hidden');
+        dataQualityCard.classList.add('hidden');
+        [trendRowsUsedEl, distRowsUsedEl, groupRowsUsedEl].forEach(el => { el.textContent = ''; });
     }
 
     // --- Data Loading & Selection ---
@@ -330,37 +1289,1080 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    function loadSheet(sheetNames) {
-        if (!Array.isArray(sheetNames)) sheetNames = [sheetNames];
-        currentSheet = sheetNames.join('_');
+    // Show the read settings of the first selected sheet
+    function showSheetOptions(value) {
+        const { fileId, sheet: sheetName } = sourceOf(value);
+        const file = loadedFiles.find(f => f.id === fileId);
+        const opts = { ...ExcelParser.DEFAULT_SHEET_OPTIONS, ...(sheetOptions[sheetName] || {}) };
+        headerRowInput.value = opts.headerRow;
+        headerRowsInput.value = opts.headerRows;
+        dataRangeInput.value = opts.range;
+        stopAtBlankToggle.checked = opts.stopAtBlank;
+        readHeaderSpecsToggle.checked = opts.readSpecs;
+
+        definedNamesList.innerHTML = '';
+        ((file && file.definedNames[sheetName]) || []).forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            definedNamesList.appendChild(opt);
+        });
+    }
+
+    // Save the form to every selected sheet (by name, so same-named sheets of other files share it) and reload
+    applySheetOptionsBtn.addEventListener('click', () => {
+        const selectedSheets = Array.from(sheetSelector.selectedOptions).map(opt => opt.value);
+        if (selectedSheets.length === 0) return;
+
+        const opts = {
+            headerRow: Math.max(1, parseInt(headerRowInput.value, 10) || 1),
+            headerRows: Math.min(5, Math.max(1, parseInt(headerRowsInput.value, 10) || 1)),
+            range: dataRangeInput.value.trim(),
+            stopAtBlank: stopAtBlankToggle.checked,
+            readSpecs: readHeaderSpecsToggle.checked
+        };
+        selectedSheets.forEach(value => { sheetOptions[sourceOf(value).sheet] = opts; });
+        saveSheetOptions();
+        loadSheet(selectedSheets);
+    });
 
-        // Concatenate data from selected sheets
-        rawData = sheetNames.reduce((acc, name) => {
-            const data = ExcelParser.getSheetData(name);
-            return data ? acc.concat(data) : acc;
-        }, []);
+    function showNumberFormat() {
+        const format = ExcelParser.getNumberFormat();
+        decimalSeparatorSelector.value = format.decimal;
+        thousandsSeparatorSelector.value = format.thousands;
+        stripUnitsToggle.checked = format.stripUnits;
+        censoredSelector.value = format.censored;
+        percentSelector.value = format.percent;
+    }
+
+    // Re-profile and re-render with the new format; every parseNumber call (charts, stats, worker) follows it
+    applyNumberFormatBtn.addEventListener('click', () => {
+        if (decimalSeparatorSelector.value === thousandsSeparatorSelector.value) {
+            alert('小數點與千分位符號不可相同');
+            return;
+        }
+        ExcelParser.setNumberFormat({
+            decimal: decimalSeparatorSelector.value,
+            thousands: thousandsSeparatorSelector.value,
+            stripUnits: stripUnitsToggle.checked,
+            censored: censoredSelector.value,
+            percent: percentSelector.value
+        });
+        saveNumberFormat();
+        if (sourceRowCount > 0) applyDataset();
+    });
+
+    // Fill empty shared spec inputs from the header tolerance of the first Y column
+    function fillSpecInputsFromHeader() {
+        const firstY = yAxisSelector.selectedOptions.length > 0 ? yAxisSelector.selectedOptions[0].value : '';
+        const spec = headerSpecs[firstY];
+        if (!spec) return;
+        [[targetColSelector, targetInput, 'target'], [uslColSelector, uslInput, 'usl'], [lslColSelector, lslInput, 'lsl']]
+            .forEach(([selector, input, key]) => {
+                if (!selector.value && typeof spec[key] === 'number') input.value = spec[key];
+            });
+    }
 
-        filteredData = [...rawData];
+    /**
+     * Read the selected sheets and rebuild the dataset; view (a named view or project state) replaces
+     * the last view used on this selection
+     */
+    async function loadSheet(values, view) {
+        if (!Array.isArray(values)) values = [values];
+        const sources = values.map(sourceOf);
+        currentSheet = [...new Set(sources.map(s => s.sheet))].join('_');
+        showSheetOptions(values[0]);
+
+        // Concatenate data from selected sheets, each read with its own header / range settings;
+        // rows from more than one source are tagged with __file / __sheet
+        const seq = ++loadSeq;
+        try {
+            const loaded = await runWithProgress('讀取工作表',
+                (onProgress) => DataClient.loadSheets({
+                    sources: sources.map(source => ({ ...source, mapping: columnMapping[mappingKeyOf(source)] })),
+                    options: sheetOptions,
+                    tagSource: sources.length > 1,
+                    previewRows: RESHAPE_PREVIEW_ROWS
+                }, { onProgress }));
+            if (seq !== loadSeq) return; // Superseded by a newer load
+            sourceRowCount = loaded.rowCount;
+            sourcePreview = loaded.preview;
+            sourceColumns = loaded.columns;
+            headerSpecs = loaded.specs;
+            sourceInfo = loaded.sources;
+            if (loaded.mappingConflicts.length > 0) {
+                const list = loaded.mappingConflicts.map(c => `${c.file} › ${c.sheet}：${c.from} → ${c.to}`).join('\n');
+                alert(`以下欄位對應未套用 (該來源已有同名欄位)：\n${list}`);
+            }
+        } catch (err) {
+            if (seq !== loadSeq) return;
+            if (err.cancelled) resetApp();
+            else alert(`工作表讀取失敗: ${err.message}`);
+            return;
+        }
 
-        if (rawData.length === 0) {
+        if (sourceRowCount === 0) {
             alert('所選工作表無數據');
             return;
         }
-
-        // Get Union of all columns from all rows
-        allColumns = [...new Set(rawData.reduce((cols, row) => cols.concat(Object.keys(row)), []))];
-
-        totalRowsEl.textContent = rawData.length;
-        filteredRowsEl.textContent = rawData.length;
+
+        setupReshape(sourceColumns);
+        reshapeSection.classList.remove('hidden');
+
+        if (!(await applyDataset())) return;
+        showViews(sources, view);
+
+        openColumnMappingBtn.classList.toggle('hidden', sourceInfo.length < 2);
+        const undecided = (col) => sourcesWithColumn(col).some(info => !hasOwn(sourceMapping(info), col));
+        if (findMismatchedColumns().some(undecided)) openColumnMapping();
+    }
+
+    // --- Column mapping between files ---
+
+    // Mappings are kept per source, so they only rename columns of the file and sheet they were made for
+    // (and the data worker applies them only while several sources are merged)
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    const mappingKey = (file, sheet) => `${file} › ${sheet}`;
+    const mappingKeyOf = ({ fileId, sheet }) => {
+        const file = loadedFiles.find(f => f.id === fileId);
+        return mappingKey(file ? file.name : '', sheet);
+    };
+    const sourceMapping = (info) => columnMapping[mappingKey(info.file, info.sheet)] || {};
+    const setSourceMapping = (info, col, target) => {
+        const key = mappingKey(info.file, info.sheet);
+        columnMapping[key] = { ...(columnMapping[key] || {}), [col]: target };
+    };
+
+    // Loaded sources whose sheet has the column under its original name
+    const sourcesWithColumn = (col) => sourceInfo.filter(info => info.originalColumns.includes(col));
+
+    // Columns missing from at least one loaded source (after the current mapping); blank __EMPTY headers are skipped
+    function findMismatchedColumns() {
+        if (sourceInfo.length < 2) return [];
+        const sets = sourceInfo.map(info => new Set(info.columns));
+        const all = [...new Set(sourceInfo.reduce((cols, info) => cols.concat(info.columns), []))];
+        return all.filter(col => !col.startsWith('__') && sets.some(set => !set.has(col)));
+    }
+
+    // One row per mismatched or already mapped column, with a select of the columns it can merge into;
+    // columns its own sources already have are not offered, since merging would drop one of them
+    function openColumnMapping() {
+        const mergedColumns = [...new Set(sourceInfo.reduce((cols, info) => cols.concat(info.columns), []))]
+            .filter(col => !col.startsWith('__'));
+        const mapped = sourceInfo.flatMap(info => info.originalColumns.filter(col => !info.columns.includes(col)));
+        const rows = [...new Set([...findMismatchedColumns(), ...mapped])].filter(col => sourcesWithColumn(col).length > 0);
+
+        columnMappingBody.innerHTML = '';
+        rows.forEach(col => {
+            const tr = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = col;
+
+            const sources = sourcesWithColumn(col);
+            const sourceCell = document.createElement('td');
+            sourceCell.className = 'source-cell';
+            sourceCell.textContent = sources.map(info => `${info.file} › ${info.sheet}`).join(', ');
+            const mappedTo = (info) => (hasOwn(sourceMapping(info), col) ? sourceMapping(info)[col] : col);
+            const current = sources.map(mappedTo).find(target => target !== col) || '';
+
+            const select = document.createElement('select');
+            select.className = 'custom-select';
+            select.dataset.column = col;
+            const keepOpt = document.createElement('option');
+            keepOpt.value = '';
+            keepOpt.textContent = '保留為獨立欄位';
+            select.appendChild(keepOpt);
+            mergedColumns.filter(c => c !== col && !sources.some(info => info.originalColumns.includes(c))).forEach(c => {
+                const opt = document.createElement('option');
+                opt.value = c;
+                opt.textContent = c;
+                select.appendChild(opt);
+            });
+            select.value = current;
+
+            const selectCell = document.createElement('td');
+            selectCell.appendChild(select);
+            tr.appendChild(nameCell);
+            tr.appendChild(sourceCell);
+            tr.appendChild(selectCell);
+            columnMappingBody.appendChild(tr);
+        });
+        columnMappingModal.classList.remove('hidden');
+    }
+
+    const reloadSelectedSheets = () => {
+        const selected = Array.from(sheetSelector.selectedOptions).map(opt => opt.value);
+        if (selected.length > 0) loadSheet(selected);
+    };
+
+    openColumnMappingBtn.addEventListener('click', openColumnMapping);
+
+    // Closing without applying keeps mismatched columns separate, so the dialog does not reopen for them
+    const dismissColumnMapping = () => {
+        findMismatchedColumns().forEach(col => {
+            sourcesWithColumn(col).forEach(info => {
+                if (!hasOwn(sourceMapping(info), col)) setSourceMapping(info, col, col);
+            });
+        });
+        saveColumnMapping();
+        columnMappingModal.classList.add('hidden');
+    };
+
+    closeColumnMappingBtn.addEventListener('click', dismissColumnMapping);
+    columnMappingModal.addEventListener('click', (e) => { if (e.target === columnMappingModal) dismissColumnMapping(); });
+
+    applyColumnMappingBtn.addEventListener('click', () => {
+        columnMappingBody.querySelectorAll('select').forEach(select => {
+            const col = select.dataset.column;
+            sourcesWithColumn(col).forEach(info => setSourceMapping(info, col, select.value || col));
+        });
+        saveColumnMapping();
+        columnMappingModal.classList.add('hidden');
+        reloadSelectedSheets();
+    });
+
+    clearColumnMappingBtn.addEventListener('click', () => {
+        columnMapping = {};
+        saveColumnMapping();
+        columnMappingModal.classList.add('hidden');
+        reloadSelectedSheets();
+    });
+
+    // --- Reshape (unpivot / pivot) between loading and column setup ---
+
+    const RESHAPE_PREVIEW_ROWS = 2000;
+
+    const fillColumnOptions = (selector, columns, placeholder = null) => {
+        selector.innerHTML = '';
+        if (placeholder !== null) {
+            const opt = document.createElement('option');
+            opt.value = '';
+            opt.textContent = placeholder;
+            selector.appendChild(opt);
+        }
+        columns.forEach(col => {
+            const opt = document.createElement('option');
+            opt.value = col;
+            opt.textContent = col;
+            selector.appendChild(opt);
+        });
+    };
+
+    const selectedValues = (selector) => Array.from(selector.selectedOptions).map(o => o.value);
+
+    const getReshapeForm = () => ({
+        mode: reshapeModeSelector.value,
+        columns: selectedValues(unpivotColsSelector),
+        variableName: (reshapeModeSelector.value === 'transpose' ? '樣本' : unpivotVariableInput.value.trim()) || '樣本',
+        valueName: unpivotValueInput.value.trim() || '量測值',
+        rowIdName: unpivotRowIdToggle.checked ? '列號' : '',
+        namesFrom: pivotNamesSelector.value,
+        valuesFrom: pivotValuesSelector.value,
+        idColumns: selectedValues(pivotIdSelector),
+        nameColumn: transposeNameSelector.value
+    });
+
+    // A config only applies when every column it names exists in the loaded sheets
+    const isReshapeValid = (config, columns) => {
+        const has = (col) => !!col && columns.includes(col);
+        switch (config.mode) {
+            case 'unpivot':
+                return Array.isArray(config.columns) && config.columns.length > 0 && config.columns.every(has);
+            case 'pivot':
+                return has(config.namesFrom) && has(config.valuesFrom) && config.namesFrom !== config.valuesFrom &&
+                    (config.idColumns || []).every(has);
+            case 'transpose':
+                return has(config.nameColumn);
+            default:
+                return false;
+        }
+    };
+
+    function updateReshapeVisibility() {
+        const mode = reshapeModeSelector.value;
+        unpivotConfig.classList.toggle('hidden', mode !== 'unpivot');
+        pivotConfig.classList.toggle('hidden', mode !== 'pivot');
+        transposeConfig.classList.toggle('hidden', mode !== 'transpose');
+    }
+
+    function setupReshape(columns) {
+        fillColumnOptions(unpivotColsSelector, columns);
+        fillColumnOptions(pivotNamesSelector, columns, '名稱欄');
+        fillColumnOptions(pivotValuesSelector, columns, '數值欄');
+        fillColumnOptions(pivotIdSelector, columns);
+        fillColumnOptions(transposeNameSelector, columns, '選取欄位');
+
+        // Restore the saved step when its columns are present, like the axis selectors
+        const config = isReshapeValid(reshapeConfig, columns) ? reshapeConfig : { mode: 'none' };
+        reshapeModeSelector.value = config.mode;
+        Array.from(unpivotColsSelector.options).forEach(o => { o.selected = (config.columns || []).includes(o.value); });
+        Array.from(pivotIdSelector.options).forEach(o => { o.selected = (config.idColumns || []).includes(o.value); });
+        if (config.mode === 'unpivot') {
+            unpivotVariableInput.value = config.variableName;
+            unpivotValueInput.value = config.valueName;
+            unpivotRowIdToggle.checked = !!config.rowIdName;
+        }
+        pivotNamesSelector.value = config.namesFrom || '';
+        pivotValuesSelector.value = config.valuesFrom || '';
+        transposeNameSelector.value = config.nameColumn || '';
+
+        updateReshapeVisibility();
+        updateReshapePreview();
+    }
+
+    function updateReshapePreview() {
+        const config = getReshapeForm();
+        const valid = isReshapeValid(config, sourceColumns);
+        reshapePreview.classList.toggle('hidden', !valid);
+        if (!valid) return;
+
+        // Large tables are previewed from their first rows so the form stays responsive
+        const sampled = sourceRowCount > RESHAPE_PREVIEW_ROWS;
+        const rows = ExcelParser.reshape(sourcePreview, config);
+        const columns = ExcelParser.getColumns(rows);
+        reshapeSummaryEl.textContent = sampled
+            ? `依前 ${RESHAPE_PREVIEW_ROWS} 列試算：${RESHAPE_PREVIEW_ROWS} 列 → ${rows.length} 列 × ${columns.length} 欄 (預覽前 5 列)`
+            : `${sourceRowCount} 列 × ${sourceColumns.length} 欄 → ${rows.length} 列 × ${columns.length} 欄 (預覽前 5 列)`;
+
+        reshapePreviewHead.innerHTML = '';
+        columns.forEach(col => {
+            const th = document.createElement('th');
+            th.textContent = col;
+            reshapePreviewHead.appendChild(th);
+        });
+        reshapePreviewBody.innerHTML = '';
+        rows.slice(0, 5).forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(col => {
+                const td = document.createElement('td');
+                td.textContent = ExcelParser.formatValue(row[col] ?? '');
+                tr.appendChild(td);
+            });
+            reshapePreviewBody.appendChild(tr);
+        });
+    }
+
+    reshapeModeSelector.addEventListener('change', () => {
+        updateReshapeVisibility();
+        updateReshapePreview();
+    });
+    [unpivotColsSelector, unpivotRowIdToggle, pivotNamesSelector, pivotValuesSelector, pivotIdSelector, transposeNameSelector]
+        .forEach(el => el.addEventListener('change', updateReshapePreview));
+    [unpivotVariableInput, unpivotValueInput].forEach(el => el.addEventListener('input', updateReshapePreview));
+
+    applyReshapeBtn.addEventListener('click', () => {
+        const config = getReshapeForm();
+        if (config.mode !== 'none' && !isReshapeValid(config, sourceColumns)) {
+            alert('請完成重塑欄位設定');
+            return;
+        }
+        reshapeConfig = config;
+        saveReshapeConfig();
+        applyDataset();
+    });
+
+    // --- Computed columns ---
+
+    Object.entries(Formula.FUNCTIONS).forEach(([name, [, , description]]) => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = description;
+        computedFunctionPicker.appendChild(opt);
+    });
+
+    const insertIntoExpression = (text) => {
+        const input = computedExpressionInput;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+        input.value = input.value.slice(0, start) + text + input.value.slice(end);
+        input.focus();
+        const caret = start + text.length;
+        input.setSelectionRange(caret, caret);
+    };
+
+    computedColumnPicker.addEventListener('change', () => {
+        if (computedColumnPicker.value) insertIntoExpression(`[${computedColumnPicker.value}]`);
+        computedColumnPicker.value = '';
+    });
+
+    computedFunctionPicker.addEventListener('change', () => {
+        if (computedFunctionPicker.value) insertIntoExpression(`${computedFunctionPicker.value}(`);
+        computedFunctionPicker.value = '';
+    });
+
+    // Columns a formula may use: native ones plus the formulas before it (a new formula goes last)
+    const formulaColumns = () => {
+        const computedNames = computedColumns.map(c => c.name);
+        const index = editingComputed === null ? computedNames.length : computedNames.indexOf(editingComputed);
+        const laterNames = computedNames.slice(index);
+        return allColumns.filter(col => !laterNames.includes(col));
+    };
+
+    const showComputedError = (message) => {
+        computedErrorEl.textContent = message;
+        computedErrorEl.classList.toggle('hidden', !message);
+    };
+
+    function resetComputedForm() {
+        editingComputed = null;
+        computedNameInput.value = '';
+        computedExpressionInput.value = '';
+        saveComputedBtn.textContent = '新增欄位';
+        cancelComputedBtn.classList.add('hidden');
+        showComputedError('');
+    }
+
+    // One line per formula (click the name to edit); formulas the worker rejected show their error
+    function renderComputedList() {
+        computedListEl.innerHTML = '';
+        computedColumns.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'computed-item';
+            item.classList.toggle('editing', entry.name === editingComputed);
+
+            const text = document.createElement('button');
+            text.className = 'computed-text';
+            text.title = '編輯公式';
+            const name = document.createElement('b');
+            name.textContent = entry.name;
+            const expression = document.createElement('code');
+            expression.textContent = entry.expression;
+            text.appendChild(name);
+            text.appendChild(document.createTextNode(' = '));
+            text.appendChild(expression);
+            text.addEventListener('click', () => {
+                editingComputed = entry.name;
+                computedNameInput.value = entry.name;
+                computedExpressionInput.value = entry.expression;
+                saveComputedBtn.textContent = '更新欄位';
+                cancelComputedBtn.classList.remove('hidden');
+                showComputedError(computedErrors[entry.name] || '');
+                renderComputedList();
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-button';
+            removeBtn.title = '刪除計算欄位';
+            removeBtn.innerHTML = '<i data-lucide="x"></i>';
+            removeBtn.addEventListener('click', () => {
+                computedColumns = computedColumns.filter(c => c.name !== entry.name);
+                if (editingComputed === entry.name) resetComputedForm();
+                saveComputedColumns();
+                applyDataset();
+            });
+
+            item.appendChild(text);
+            item.appendChild(removeBtn);
+            if (computedErrors[entry.name]) {
+                const error = document.createElement('small');
+                error.className = 'computed-error';
+                error.textContent = computedErrors[entry.name];
+                item.appendChild(error);
+            }
+            computedListEl.appendChild(item);
+        });
+
+        computedColumnPicker.innerHTML = '<option value="">插入欄位</option>';
+        formulaColumns().forEach(col => {
+            const opt = document.createElement('option');
+            opt.value = col;
+            opt.textContent = col;
+            computedColumnPicker.appendChild(opt);
+        });
+        if (window.lucide) window.lucide.createIcons();
+    }
+
+    cancelComputedBtn.addEventListener('click', () => {
+        resetComputedForm();
+        renderComputedList();
+    });
+
+    // Validate against the columns the formula will see (native ones plus earlier formulas), then rebuild the dataset
+    saveComputedBtn.addEventListener('click', () => {
+        const name = computedNameInput.value.trim();
+        const expression = computedExpressionInput.value.trim();
+        const computedNames = computedColumns.map(c => c.name);
+
+        if (!name) {
+            showComputedError('請輸入欄位名稱');
+            return;
+        }
+        if (SOURCE_COLUMNS.includes(name) || (allColumns.includes(name) && !computedNames.includes(name)) ||
+            (name !== editingComputed && computedNames.includes(name))) {
+            showComputedError(`欄位「${name}」已存在`);
+            return;
+        }
+        try {
+            Formula.compile(expression, formulaColumns());
+        } catch (e) {
+            showComputedError(e.message);
+            return;
+        }
+
+        const entry = { name, expression };
+        if (editingComputed === null) computedColumns.push(entry);
+        else computedColumns[computedNames.indexOf(editingComputed)] = entry;
+        saveComputedColumns();
+        resetComputedForm();
+        applyDataset();
+    });
+
+    // --- Named views ---
+
+    // FNV-1a, enough to tell workbooks apart by name and sheet list
+    const hashText = (text) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    };
+
+    // Views belong to the workbooks (file name + sheet list) and sheets of the current selection
+    const getViewKey = (sources) => {
+        const files = [...new Set(sources.map(s => s.fileId))]
+            .map(id => loadedFiles.find(f => f.id === id))
+            .filter(Boolean)
+            .map(f => `${f.name}:${f.sheetNames.join(',')}`)
+            .sort();
+        const sheets = [...new Set(sources.map(s => s.sheet))].join('+');
+        return `${hashText(files.join('\n'))}|${sheets}`;
+    };
+
+    const viewsForKey = () => (savedViews[currentViewKey] || { views: [], last: '' });
+
+    const captureView = (name) => ({
+        name,
+        savedAt: new Date().toISOString(),
+        x: xAxisSelector.value,
+        xIsDate: xIsDateCheckbox.checked,
+        x2: xAxis2Selector.value,
+        x2IsDate: x2IsDateCheckbox.checked,
+        y: Array.from(yAxisSelector.selectedOptions).map(opt => opt.value),
+        specs: {
+            target: targetInput.value,
+            usl: uslInput.value,
+            lsl: lslInput.value,
+            targetCol: targetColSelector.value,
+            uslCol: uslColSelector.value,
+            lslCol: lslColSelector.value
+        },
+        seriesSpecs: { ...seriesSpecs },
+        filters: { ...activeFilters },
+        filterLogic,
+        chart: {
+            ...getSpcOptions(),
+            size: subgroupSizeInput.value,
+            groupBy: groupBySelector.value
+        },
+        layout: getLayoutConfig()
+    });
+
+    // Restore a view through the same prevValue / activeFilters paths a reload uses, then re-filter and redraw;
+    // the view only changes the in-memory state, the stored defaults stay as they are
+    const applyView = (view) => {
+        const specs = view.specs || {};
+        viewActive = true;
+        xAxisSelector.dataset.prevValue = view.x || '';
+        xAxisSelector.dataset.prevDate = String(!!view.xIsDate);
+        xAxis2Selector.dataset.prevValue = view.x2 || '';
+        xAxis2Selector.dataset.prevDate = String(!!view.x2IsDate);
+        yAxisSelector.dataset.prevValues = JSON.stringify(view.y || []);
+        [[targetColSelector, 'targetCol'], [uslColSelector, 'uslCol'], [lslColSelector, 'lslCol']].forEach(([selector, key]) => {
+            selector.dataset.prevValue = specs[key] || '';
+        });
+
+        const chart = view.chart || {};
+        if (chart.chartType) chartTypeSelector.value = chart.chartType;
+        subgroupColSelector.dataset.prevValue = chart.column || '';
+        subgroupSizeInput.value = chart.size || '';
+        sampleSizeColSelector.dataset.prevValue = chart.sizeColumn || '';
+        [[ewmaLambdaInput, chart.lambda], [ewmaLInput, chart.L], [cusumKInput, chart.k], [cusumHInput, chart.h]].forEach(([input, val]) => {
+            if (typeof val === 'number' && !isNaN(val)) input.value = val;
+        });
+        groupBySelector.dataset.prevValue = chart.groupBy || '';
+        syncChartTypeConfig();
+
+        applyLayoutConfig(view.layout || {});
+        seriesSpecs = { ...(view.seriesSpecs || {}) };
+        activeFilters = { ...(view.filters || {}) };
+        filterLogic = view.filterLogic === 'or' ? 'or' : 'and';
+        filterLogicSelector.value = filterLogic;
+
+        setupSelectors(allColumns);
+        // A limit without a column keeps the value typed into the view
+        [[targetColSelector, targetInput, 'targetCol', 'target'], [uslColSelector, uslInput, 'uslCol', 'usl'], [lslColSelector, lslInput, 'lslCol', 'lsl']]
+            .forEach(([selector, input, colKey, key]) => {
+                selector.value = allColumns.includes(specs[colKey]) ? specs[colKey] : '';
+                if (!selector.value) input.value = specs[key] ?? '';
+            });
+        syncRowSpecInputs();
+        try { setupFilters(allColumns); } catch (e) { console.error('Filter setup failed', e); }
+        updateLayout();
+        applyFilters();
+    };
+
+    // Back to the stored defaults once no view applies: layout, filters and per-column specs as saved outside views
+    const leaveView = () => {
+        viewActive = false;
+        activeFilters = {};
+        seriesSpecs = {};
+        loadLayoutConfig();
+        loadFiltersConfig();
+        loadSeriesSpecs();
+        syncChartTypeConfig();
+        if (rowCount === 0) return;
+        setupSelectors(allColumns);
+        try { setupFilters(allColumns); } catch (e) { console.error('Filter setup failed', e); }
+        updateLayout();
+        applyFilters();
+    };
+
+    const renderViewSelector = (selected = viewsForKey().last) => {
+        const { views } = viewsForKey();
+        viewSelector.innerHTML = '<option value="">未選擇</option>';
+        views.forEach(view => {
+            const opt = document.createElement('option');
+            opt.value = view.name;
+            opt.textContent = view.name;
+            opt.title = `儲存於 ${new Date(view.savedAt).toLocaleString()}`;
+            viewSelector.appendChild(opt);
+        });
+        viewSelector.value = views.some(v => v.name === selected) ? selected : '';
+        viewNameInput.value = viewSelector.value;
+        renameViewBtn.disabled = !viewSelector.value;
+        deleteViewBtn.disabled = !viewSelector.value;
+    };
+
+    // After a sheet selection loads: list its views and bring back the given view, else the one used last
+    function showViews(sources, view) {
+        currentViewKey = getViewKey(sources);
+        const files = [...new Set(sources.map(s => (loadedFiles.find(f => f.id === s.fileId) || {}).name).filter(Boolean))];
+        viewScopeEl.textContent = `僅適用於 ${files.join('、')} › ${[...new Set(sources.map(s => s.sheet))].join('、')}`;
+        viewsSection.classList.remove('hidden');
+        renderViewSelector(view ? '' : undefined);
+        const { views, last } = viewsForKey();
+        const restore = view || views.find(v => v.name === last);
+        if (restore) applyView(restore);
+        else if (viewActive) leaveView();
+    }
+
+    const updateViews = (views, last) => {
+        savedViews[currentViewKey] = { views, last };
+        if (views.length === 0) delete savedViews[currentViewKey];
+        saveViews();
+        renderViewSelector(last);
+    };
+
+    viewSelector.addEventListener('change', () => {
+        const { views } = viewsForKey();
+        const view = views.find(v => v.name === viewSelector.value);
+        updateViews(views, view ? view.name : '');
+        if (view) applyView(view);
+        else if (viewActive) leaveView();
+    });
+
+    saveViewBtn.addEventListener('click', () => {
+        const name = viewNameInput.value.trim();
+        if (!name) {
+            alert('請輸入視圖名稱');
+            return;
+        }
+        const { views } = viewsForKey();
+        const view = captureView(name);
+        const index = views.findIndex(v => v.name === name);
+        updateViews(index >= 0 ? views.map((v, i) => i === index ? view : v) : [...views, view], name);
+    });
+
+    renameViewBtn.addEventListener('click', () => {
+        const from = viewSelector.value;
+        const to = viewNameInput.value.trim();
+        if (!from || !to || to === from) return;
+        const { views, last } = viewsForKey();
+        if (views.some(v => v.name === to)) {
+            alert(`已有名為「${to}」的視圖`);
+            return;
+        }
+        updateViews(views.map(v => v.name === from ? { ...v, name: to } : v), last === from ? to : last);
+    });
+
+    deleteViewBtn.addEventListener('click', () => {
+        const name = viewSelector.value;
+        if (!name || !confirm(`刪除視圖「${name}」？`)) return;
+        const { views, last } = viewsForKey();
+        updateViews(views.filter(v => v.name !== name), last === name ? '' : last);
+    });
+
+    // --- Project files ---
+
+    const PROJECT_FORMAT = 'trendchart-project';
+    const PROJECT_VERSION = 1;
+
+    const isProjectFile = (fileName) => fileName.toLowerCase().endsWith('.trendchart.json');
+
+    const toBase64 = (buffer) => {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    };
+
+    const fromBase64 = (text) => {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes.buffer;
+    };
+
+    /**
+     * Everything needed to reproduce the current analysis: files (by name, embedded as base64 when includeData),
+     * the sheet selection, import / reshape / column settings, the current view and the data quality exclusions
+     */
+    const PROJECT_SETTING_LABELS = {
+        sheetOptions: '表頭 / 範圍設定',
+        reshape: '重塑設定',
+        columnRoles: '欄位類型 / 角色',
+        columnMapping: '欄位對應',
+        numberFormat: '數字格式',
+        dateFormats: '日期格式',
+        computed: '計算欄位'
+    };
+
+    const currentProjectSettings = () => ({
+        sheetOptions,
+        reshape: reshapeConfig,
+        columnRoles: columnOverrides,
+        columnMapping,
+        numberFormat: ExcelParser.getNumberFormat(),
+        dateFormats,
+        computed: computedColumns
+    });
+
+    async function buildProject(includeData) {
+        const files = [];
+        for (const file of loadedFiles) {
+            const entry = { name: file.name, size: file.file.size, sheetNames: file.sheetNames };
+            if (includeData) entry.data = toBase64(await readFileBuffer(file.file));
+            files.push(entry);
+        }
+        const sheets = Array.from(sheetSelector.selectedOptions).map(opt => {
+            const { fileId, sheet } = sourceOf(opt.value);
+            return { file: loadedFiles.findIndex(f => f.id === fileId), sheet };
+        });
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            files,
+            sheets,
+            settings: currentProjectSettings(),
+            view: captureView(''),
+            exclusions: { duplicates: excludeDuplicates, outliers: excludeOutliers }
+        };
+    }
+
+    exportProjectBtn.addEventListener('click', async () => {
+        if (loadedFiles.length === 0) return;
+        try {
+            const project = await buildProject(projectIncludeDataToggle.checked);
+            const url = URL.createObjectURL(new Blob([JSON.stringify(project)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${loadedFiles[0].name.replace(/\.[^.]+$/, '')}.trendchart.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (err) {
+            alert(`專案匯出失敗: ${err.message}`);
+        }
+    });
+
+    /**
+     * Loaded file (or null) for each project file, in the project's order: linked files match on URL,
+     * others on name and size; each loaded file is used once, so files sharing a name keep their positions
+     */
+    const matchProjectFiles = (project) => {
+        const used = new Set();
+        return project.files.map(f => {
+            const match = loadedFiles.find(l => !used.has(l.id) && (f.url
+                ? l.url === f.url
+                : l.name === f.name && (f.size === undefined || l.file.size === f.size)));
+            if (!match) return null;
+            used.add(match.id);
+            return match;
+        });
+    };
+
+    // Files a project needs that are neither embedded nor loaded
+    const missingProjectFiles = (project) => project.files.every(f => f.data)
+        ? []
+        : matchProjectFiles(project).map((match, i) => match ? null : project.files[i].name).filter(Boolean);
+
+    /**
+     * Use a project's import and column settings. Settings that differ from the ones stored in this browser replace
+     * them only when the user confirms; otherwise they apply until the files are cleared
+     */
+    const applyProjectSettings = (settings) => {
+        const current = currentProjectSettings();
+        const changed = Object.keys(PROJECT_SETTING_LABELS)
+            .filter(key => settings[key] !== undefined && JSON.stringify(settings[key]) !== JSON.stringify(current[key]));
+        if (changed.length === 0) return;
+        const store = confirm(`專案的${changed.map(key => PROJECT_SETTING_LABELS[key]).join('、')}與此瀏覽器儲存的設定不同。\n\n` +
+            '按「確定」以專案設定取代並儲存；按「取消」僅在本次使用，清除檔案後恢復原本的設定');
+
+        projectSession = !store;
+        sheetOptions = settings.sheetOptions || {};
+        reshapeConfig = settings.reshape || { mode: 'none' };
+        columnOverrides = settings.columnRoles || {};
+        columnMapping = settings.columnMapping || {};
+        if (settings.numberFormat) ExcelParser.setNumberFormat(settings.numberFormat);
+        showNumberFormat();
+        dateFormats = settings.dateFormats || {};
+        ExcelParser.setDateFormats(dateFormats);
+        computedColumns = settings.computed || [];
+        resetComputedForm();
+        [saveSheetOptions, saveReshapeConfig, saveColumnOverrides, saveColumnMapping, saveNumberFormat, saveDateFormats,
+            saveComputedColumns].forEach(save => save());
+    };
+
+    // Back to this browser's stored settings once a project's session-only settings no longer apply
+    const restoreStoredSettings = () => {
+        projectSession = false;
+        sheetOptions = {};
+        reshapeConfig = { mode: 'none' };
+        columnOverrides = {};
+        columnMapping = {};
+        ExcelParser.setNumberFormat(null);
+        dateFormats = {};
+        ExcelParser.setDateFormats(dateFormats);
+        computedColumns = [];
+        loadSheetOptions();
+        loadReshapeConfig();
+        loadColumnOverrides();
+        loadColumnMapping();
+        loadNumberFormat();
+        showNumberFormat();
+        loadDateFormats();
+        loadComputedColumns();
+    };
+
+    async function openProjectFile(file) {
+        let project;
+        try {
+            project = JSON.parse(new TextDecoder().decode(await readFileBuffer(file)));
+        } catch (err) {
+            alert(`專案檔讀取失敗 (${file.name}): ${err.message}`);
+            return;
+        }
+        if (!project || project.format !== PROJECT_FORMAT || !Array.isArray(project.files)) {
+            alert(`${file.name} 不是有效的專案檔`);
+            return;
+        }
+        if (project.version > PROJECT_VERSION) {
+            alert(`${file.name} 由較新版本建立，請更新後再開啟`);
+            return;
+        }
+        await openProject(project);
+    }
+
+    /**
+     * Restore a project: embedded files replace the loaded ones, otherwise the matching loaded files are used
+     * (missing ones are asked for and the project opens once they are loaded)
+     */
+    async function openProject(project) {
+        const missing = missingProjectFiles(project);
+        if (missing.length > 0) {
+            pendingProject = project;
+            alert(`專案未內含數據，請載入: ${missing.join('、')}`);
+            return;
+        }
+        pendingProject = null;
+        const embedded = project.files.length > 0 && project.files.every(f => f.data);
+        if (embedded) resetApp();
+        if (project.settings) applyProjectSettings(project.settings);
+
+        let files;
+        if (embedded) {
+            dropZone.classList.add('hidden');
+            fileInfo.classList.remove('hidden');
+            files = [];
+            try {
+                for (const file of project.files) {
+                    const data = fromBase64(file.data);
+                    files.push(await addLoadedFile(file.name, data, new Blob([data])));
+                }
+            } catch (err) {
+                if (!err.cancelled) alert(`專案數據解析失敗: ${err.message}`);
+                resetApp();
+                return;
+            }
+        } else {
+            files = matchProjectFiles(project);
+        }
+
+        const values = (project.sheets || [])
+            .filter(s => files[s.file] && files[s.file].sheetNames.includes(s.sheet))
+            .map(s => sheetValue(files[s.file].id, s.sheet));
+        renderFileList();
+        populateSheetSelector(values);
+        sheetSection.classList.remove('hidden');
+        if (values.length === 0) {
+            alert('專案中的工作表不存在於已載入的檔案');
+            return;
+        }
+
+        // The quality report is rebuilt while loading, with the project's outlier method and exclusions
+        const view = project.view || null;
+        if (view && view.layout) {
+            viewActive = true;
+            applyLayoutConfig(view.layout);
+        }
+        excludeDuplicates = !!(project.exclusions && project.exclusions.duplicates);
+        excludeOutliers = !!(project.exclusions && project.exclusions.outliers);
+        await loadSheet(values, view);
+    }
+
+    // --- Shareable links ---
+    // #data=<relative URL>&sheet=<name>&view=<base64url JSON>: data and sheet may repeat and stay hand-editable
+
+    const encodeLinkView = (view) => toBase64(new TextEncoder().encode(JSON.stringify(view)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    const decodeLinkView = (text) => JSON.parse(new TextDecoder().decode(
+        fromBase64(text.replace(/-/g, '+').replace(/_/g, '/'))));
+
+    // Only files on the same site as the page, so a link cannot pull data from elsewhere
+    async function fetchDataFile(url) {
+        const resolved = new URL(url, window.location.href);
+        if (resolved.origin !== window.location.origin) throw new Error('僅能載入同一網站的檔案');
+        const response = await fetch(resolved.href);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const name = decodeURIComponent(resolved.pathname.split('/').pop()) || 'data';
+        const blob = await response.blob();
+        const entry = await addLoadedFile(name, await blob.arrayBuffer(), blob);
+        entry.url = url;
+        return entry;
+    }
+
+    /**
+     * Open the data files and state named in the page hash; without data files the view waits for the
+     * first file the user loads
+     */
+    async function openFromLink() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const urls = params.getAll('data');
+        let view = null;
+        if (params.get('view')) {
+            try {
+                view = decodeLinkView(params.get('view'));
+            } catch (e) {
+                alert('連結中的設定無法解讀，將以預設設定開啟');
+            }
+        }
+        if (urls.length === 0) {
+            linkView = view;
+            return;
+        }
+
+        dropZone.classList.add('hidden');
+        fileInfo.classList.remove('hidden');
+        const files = [];
+        for (const url of urls) {
+            try {
+                files.push(await fetchDataFile(url));
+            } catch (err) {
+                if (err.cancelled) {
+                    resetApp();
+                    return;
+                }
+                alert(`數據檔載入失敗 (${url}): ${err.message}`);
+            }
+        }
+        if (files.length === 0) {
+            resetApp();
+            return;
+        }
+
+        // Listed sheets are looked up in every linked file; without any, each file opens on its first sheet
+        const names = params.getAll('sheet');
+        const sheets = [];
+        files.forEach((file, i) => {
+            (names.length > 0 ? names : file.sheetNames.slice(0, 1)).forEach(sheet => sheets.push({ file: i, sheet }));
+        });
+        await openProject({ files: files.map(f => ({ name: f.name, url: f.url })), sheets, view });
+    }
+
+    copyViewLinkBtn.addEventListener('click', async () => {
+        const params = new URLSearchParams();
+        loadedFiles.filter(f => f.url).forEach(f => params.append('data', f.url));
+        const sheets = new Set(Array.from(sheetSelector.selectedOptions).map(opt => sourceOf(opt.value).sheet));
+        sheets.forEach(sheet => params.append('sheet', sheet));
+        const { name, savedAt, ...view } = captureView('');
+        params.set('view', encodeLinkView(view));
+
+        window.history.replaceState(null, '', `#${params.toString()}`);
+        const link = window.location.href;
+        const localFiles = loadedFiles.filter(f => !f.url).map(f => f.name);
+        const note = localFiles.length > 0 ? `\n\n連結不含本機檔案 (${localFiles.join('、')})，開啟後需自行載入` : '';
+        try {
+            await navigator.clipboard.writeText(link);
+            alert(`已複製連結${note}`);
+        } catch (e) {
+            // Clipboard access needs a secure context; let the user copy by hand
+            prompt(`請複製此連結${note}`, link);
+        }
+    });
+
+    /**
+     * Reshape and profile the loaded rows (in the data worker), then rebuild selectors, filters and table
+     * @returns {Promise<boolean>} false when the rebuild failed or a newer load superseded it
+     */
+    async function applyDataset() {
+        const seq = ++loadSeq;
+        let prepared;
+        try {
+            prepared = await runWithProgress('分析欄位', (onProgress) =>
+                DataClient.prepare({
+                    reshape: isReshapeValid(reshapeConfig, sourceColumns) ? reshapeConfig : null,
+                    numberFormat: ExcelParser.getNumberFormat(),
+                    dateFormats,
+                    computed: computedColumns
+                }, { onProgress }));
+        } catch (err) {
+            if (seq !== loadSeq) return false;
+            if (err.cancelled) resetApp();
+            else alert(`數據處理失敗: ${err.message}`);
+            return false;
+        }
+        if (seq !== loadSeq) return false; // Superseded by a newer load
+        if (prepared.reshapeFailed) alert('重塑後無數據，已改用原始表格');
+
+        rowCount = prepared.rowCount;
+        filteredCount = rowCount;
+        lastAnalysis = null;
+        allColumns = prepared.columns;
+        columnProfiles = prepared.profiles;
+        uniqueValueCache = prepared.uniques;
+        computedErrors = prepared.computedErrors || {};
+        renderComputedList();
+        computedSection.classList.remove('hidden');
+
+        totalRowsEl.textContent = rowCount;
+        filteredRowsEl.textContent = rowCount;
 
         // Setup Selectors
         setupSelectors(allColumns);
+        fillSpecInputsFromHeader();
 
         // Setup Filters
         try { setupFilters(allColumns); } catch (e) { console.error('Filter setup failed', e); }
 
         // Update Table
         try { updateTable(allColumns); } catch (e) { console.error('Table update failed', e); }
+        updateProfileTable();
+        await updateQualityReport();
+        if (seq !== loadSeq || rowCount === 0) return false; // Superseded, or the scan was cancelled
 
         configSection.classList.remove('hidden');
         filterSection.classList.remove('hidden');
@@ -368,6 +2370,105 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Apply existing filters if any
         applyFilters();
+        return true;
+    }
+
+    // Selector listeners are bound once; setupSelectors only refills the options and restores the selection
+    targetColSelector.addEventListener('change', () => {
+        updateInputFromCol(targetColSelector, targetInput);
+        targetColSelector.dataset.prevValue = targetColSelector.value;
+    });
+    uslColSelector.addEventListener('change', () => {
+        updateInputFromCol(uslColSelector, uslInput);
+        uslColSelector.dataset.prevValue = uslColSelector.value;
+    });
+    lslColSelector.addEventListener('change', () => {
+        updateInputFromCol(lslColSelector, lslInput);
+        lslColSelector.dataset.prevValue = lslColSelector.value;
+    });
+
+    xAxisSelector.addEventListener('change', () => {
+        xAxisSelector.dataset.prevValue = xAxisSelector.value;
+        const detect = getDateDetect(xAxisSelector.value);
+        // Keep the previous state instead of forcing false
+        updateDateHint(xIsDateCheckbox, detect);
+        syncDateFormatSelectors();
+    });
+    xAxis2Selector.addEventListener('change', () => {
+        xAxis2Selector.dataset.prevValue = xAxis2Selector.value;
+        const detect = getDateDetect(xAxis2Selector.value);
+        // Keep the previous state instead of forcing false
+        updateDateHint(x2IsDateCheckbox, detect);
+        syncDateFormatSelectors();
+    });
+    xIsDateCheckbox.addEventListener('change', () => {
+        xAxisSelector.dataset.prevDate = xIsDateCheckbox.checked;
+        syncDateFormatSelectors();
+        renderChart();
+    });
+    x2IsDateCheckbox.addEventListener('change', () => {
+        xAxis2Selector.dataset.prevDate = x2IsDateCheckbox.checked;
+        syncDateFormatSelectors();
+        renderChart();
+    });
+    yAxisSelector.addEventListener('change', () => {
+        const selected = Array.from(yAxisSelector.selectedOptions).map(o => o.value);
+        yAxisSelector.dataset.prevValues = JSON.stringify(selected);
+        fillSpecInputsFromHeader();
+        updateVisibilityUI(selected);
+    });
+
+    function updateDateHint(checkbox, detect) {
+        const label = checkbox.nextElementSibling;
+        const wrapper = checkbox.parentElement;
+
+        if (detect.isUncertain) {
+            label.innerHTML = '偵測到疑為時間格式，建議確認勾選';
+            label.style.color = 'var(--amber)';
+            wrapper.style.opacity = '1';
+            wrapper.classList.add('pulse-hint');
+        } else if (detect.isDate) {
+            label.innerHTML = '偵測為時間格式，建議勾選以正確顯示';
+            label.style.color = 'var(--green)';
+            wrapper.style.opacity = '1';
+            wrapper.classList.add('pulse-hint');
+        } else {
+            label.innerHTML = '視為時間格式 (手動開啟)';
+            label.style.color = 'var(--text-secondary)';
+            wrapper.style.opacity = '0.7';
+            wrapper.classList.remove('pulse-hint');
+        }
+    }
+
+    function updateVisibilityUI(selected) {
+        ySeriesToggles.innerHTML = '';
+        hiddenSeries.clear(); // Reset hidden state when selection changes
+
+        if (selected.length > 1) {
+            yVisibilitySection.classList.remove('hidden');
+            selected.forEach(col => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-item';
+
+                const cb = document.createElement('input');
+                cb.type = 'checkbox';
+                cb.checked = true;
+                cb.addEventListener('change', () => {
+                    if (cb.checked) hiddenSeries.delete(col);
+                    else hiddenSeries.add(col);
+                    renderChart(); // Auto-refresh chart
+                });
+
+                const span = document.createElement('span');
+                span.textContent = col;
+
+                label.appendChild(cb);
+                label.appendChild(span);
+                ySeriesToggles.appendChild(label);
+            });
+        } else {
+            yVisibilitySection.classList.add('hidden');
+        }
     }
 
     function setupSelectors(columns) {
@@ -377,6 +2478,18 @@ document.addEventListener('DOMContentLoaded', () => {
         targetColSelector.innerHTML = '<option value="">選取欄位</option>';
         uslColSelector.innerHTML = '<option value="">選取欄位</option>';
         lslColSelector.innerHTML = '<option value="">選取欄位</option>';
+        subgroupColSelector.innerHTML = '<option value="">依欄位分組</option>';
+        sampleSizeColSelector.innerHTML = '<option value="">無</option>';
+
+        // Y lists measurement columns (plus any still-selected column), spec pickers list spec columns;
+        // both fall back to every column when the profile found none
+        const prevYValues = JSON.parse(yAxisSelector.dataset.prevValues || "[]");
+        const measurementCols = columnsWithRole(columns, 'measurement');
+        const yColumns = measurementCols.length > 0
+            ? columns.filter(c => measurementCols.includes(c) || prevYValues.includes(c))
+            : columns;
+        const specCols = columnsWithRole(columns, 'spec');
+        const specColumns = specCols.length > 0 ? specCols : columns;
 
         columns.forEach(col => {
             const optX = document.createElement('option');
@@ -389,39 +2502,40 @@ document.addEventListener('DOMContentLoaded', () => {
             optX2.textContent = col;
             xAxis2Selector.appendChild(optX2);
 
-            const optY = document.createElement('option');
-            optY.value = col;
-            optY.textContent = col;
-            yAxisSelector.appendChild(optY);
+            if (yColumns.includes(col)) {
+                const optY = document.createElement('option');
+                optY.value = col;
+                optY.textContent = col;
+                yAxisSelector.appendChild(optY);
+            }
 
             // For Target/USL/LSL Column pickers
-            const optT = document.createElement('option');
-            optT.value = col;
-            optT.textContent = col;
-            targetColSelector.appendChild(optT);
-
-            const optU = document.createElement('option');
-            optU.value = col;
-            optU.textContent = col;
-            uslColSelector.appendChild(optU);
+            if (specColumns.includes(col)) {
+                const optT = document.createElement('option');
+                optT.value = col;
+                optT.textContent = col;
+                targetColSelector.appendChild(optT);
+
+                const optU = document.createElement('option');
+                optU.value = col;
+                optU.textContent = col;
+                uslColSelector.appendChild(optU);
+
+                const optL = document.createElement('option');
+                optL.value = col;
+                optL.textContent = col;
+                lslColSelector.appendChild(optL);
+            }
 
-            const optL = document.createElement('option');
-            optL.value = col;
-            optL.textContent = col;
-            lslColSelector.appendChild(optL);
-        });
+            const optS = document.createElement('option');
+            optS.value = col;
+            optS.textContent = col;
+            subgroupColSelector.appendChild(optS);
 
-        targetColSelector.addEventListener('change', () => {
-            updateInputFromCol(targetColSelector, targetInput);
-            targetColSelector.dataset.prevValue = targetColSelector.value;
-        });
-        uslColSelector.addEventListener('change', () => {
-            updateInputFromCol(uslColSelector, uslInput);
-            uslColSelector.dataset.prevValue = uslColSelector.value;
-        });
-        lslColSelector.addEventListener('change', () => {
-            updateInputFromCol(lslColSelector, lslInput);
-            lslColSelector.dataset.prevValue = lslColSelector.value;
+            const optN = document.createElement('option');
+            optN.value = col;
+            optN.textContent = col;
+            sampleSizeColSelector.appendChild(optN);
         });
 
         // --- Persistence Logic for Chart Config ---
@@ -431,7 +2545,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (prevX && columns.includes(prevX)) {
             xAxisSelector.value = prevX;
         } else {
-            const dateCol = columns.find(c => c.includes('日期') || c.includes('時間'));
+            const dateCol = columnsWithRole(columns, 'date')[0] || columns.find(c => c.includes('日期') || c.includes('時間'));
             if (dateCol) xAxisSelector.value = dateCol;
         }
 
@@ -443,15 +2557,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Always set checkboxes to false on load to force manual confirmation
         if (xAxisSelector.value) {
-            const detect = ExcelParser.detectDateConfidence(filteredData, xAxisSelector.value);
+            const detect = getDateDetect(xAxisSelector.value);
             xIsDateCheckbox.checked = xAxisSelector.dataset.prevDate === 'true';
             updateDateHint(xIsDateCheckbox, detect);
         }
         if (xAxis2Selector.value) {
-            const detect = xAxis2Selector.value ? ExcelParser.detectDateConfidence(filteredData, xAxis2Selector.value) : { isDate: false };
+            const detect = getDateDetect(xAxis2Selector.value);
             x2IsDateCheckbox.checked = xAxis2Selector.dataset.prevDate === 'true';
             updateDateHint(x2IsDateCheckbox, detect);
         }
+        syncDateFormatSelectors();
 
         // Restore Y-Axis (Multiple)
         const prevY = JSON.parse(yAxisSelector.dataset.prevValues || "[]");
@@ -480,94 +2595,36 @@ document.addEventListener('DOMContentLoaded', () => {
         restoreSpecCol(uslColSelector, uslInput);
         restoreSpecCol(lslColSelector, lslInput);
 
-        // Update tracking data attributes on change
-        xAxisSelector.addEventListener('change', () => {
-            xAxisSelector.dataset.prevValue = xAxisSelector.value;
-            const detect = ExcelParser.detectDateConfidence(filteredData, xAxisSelector.value);
-            // Keep the previous state instead of forcing false
-            updateDateHint(xIsDateCheckbox, detect);
-        });
-        xAxis2Selector.addEventListener('change', () => {
-            xAxis2Selector.dataset.prevValue = xAxis2Selector.value;
-            const detect = xAxis2Selector.value ? ExcelParser.detectDateConfidence(filteredData, xAxis2Selector.value) : { isDate: false, isUncertain: false };
-            // Keep the previous state instead of forcing false
-            updateDateHint(x2IsDateCheckbox, detect);
-        });
-        xIsDateCheckbox.addEventListener('change', () => {
-            xAxisSelector.dataset.prevDate = xIsDateCheckbox.checked;
-            renderChart();
-        });
-        x2IsDateCheckbox.addEventListener('change', () => {
-            xAxis2Selector.dataset.prevDate = x2IsDateCheckbox.checked;
-            renderChart();
-        });
-        yAxisSelector.addEventListener('change', () => {
-            const selected = Array.from(yAxisSelector.selectedOptions).map(o => o.value);
-            yAxisSelector.dataset.prevValues = JSON.stringify(selected);
-            updateVisibilityUI(selected);
-        });
+        // Otherwise match spec-role columns by name (USL / 上限, LSL / 下限, Target / 目標)
+        const autoSpecCol = (selector, input, pattern) => {
+            if (selector.value || selector.dataset.prevValue) return;
+            const match = specCols.find(c => pattern.test(c));
+            if (match) {
+                selector.value = match;
+                updateInputFromCol(selector, input);
+            }
+        };
+        autoSpecCol(targetColSelector, targetInput, /(target|nominal|目標|標準值|中心)/i);
+        autoSpecCol(uslColSelector, uslInput, /(usl|upper|上限)/i);
+        autoSpecCol(lslColSelector, lslInput, /(lsl|lower|下限)/i);
+
+        // Restore Subgroup Column
+        const prevSubgroupCol = subgroupColSelector.dataset.prevValue;
+        if (prevSubgroupCol && columns.includes(prevSubgroupCol)) {
+            subgroupColSelector.value = prevSubgroupCol;
+        }
+
+        // Restore Sample Size Column
+        const prevSizeCol = sampleSizeColSelector.dataset.prevValue;
+        if (prevSizeCol && columns.includes(prevSizeCol)) {
+            sampleSizeColSelector.value = prevSizeCol;
+        }
 
         // Initialize UI for already selected Y axes
         updateVisibilityUI(Array.from(yAxisSelector.selectedOptions).map(o => o.value));
 
-        function updateDateHint(checkbox, detect) {
-            const label = checkbox.nextElementSibling;
-            const wrapper = checkbox.parentElement;
-
-            if (detect.isUncertain) {
-                label.innerHTML = '偵測到疑為時間格式，建議確認勾選';
-                label.style.color = 'var(--amber)';
-                wrapper.style.opacity = '1';
-                wrapper.classList.add('pulse-hint');
-            } else if (detect.isDate) {
-                label.innerHTML = '偵測為時間格式，建議勾選以正確顯示';
-                label.style.color = 'var(--green)';
-                wrapper.style.opacity = '1';
-                wrapper.classList.add('pulse-hint');
-            } else {
-                label.innerHTML = '視為時間格式 (手動開啟)';
-                label.style.color = 'var(--text-secondary)';
-                wrapper.style.opacity = '0.7';
-                wrapper.classList.remove('pulse-hint');
-            }
-        }
-
-        function updateVisibilityUI(selected) {
-            ySeriesToggles.innerHTML = '';
-            hiddenSeries.clear(); // Reset hidden state when selection changes
-
-            if (selected.length > 1) {
-                yVisibilitySection.classList.remove('hidden');
-                selected.forEach(col => {
-                    const label = document.createElement('label');
-                    label.className = 'checkbox-item';
-
-                    const cb = document.createElement('input');
-                    cb.type = 'checkbox';
-                    cb.checked = true;
-                    cb.addEventListener('change', () => {
-                        if (cb.checked) hiddenSeries.delete(col);
-                        else hiddenSeries.add(col);
-                        renderChart(); // Auto-refresh chart
-                    });
-
-                    const span = document.createElement('span');
-                    span.textContent = col;
-
-                    label.appendChild(cb);
-                    label.appendChild(span);
-                    ySeriesToggles.appendChild(label);
-                });
-            } else {
-                yVisibilitySection.classList.add('hidden');
-            }
-        }
-
         function selectDefaultY(cols) {
-            const valCols = cols.filter(c => {
-                const val = rawData[0][c];
-                return typeof val === 'number' || (!isNaN(parseFloat(val)) && isFinite(val));
-            });
+            const valCols = columnsWithRole(cols, 'measurement');
             if (valCols.length > 0) {
                 const defaultValue = valCols[0];
                 for (let i = 0; i < yAxisSelector.options.length; i++) {
@@ -582,116 +2639,305 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Filtering ---
 
-    function setupFilters(columns) {
-        filterContainer.innerHTML = '';
+    // Saved filters only count while the panel offers the same kind of filter for the column
+    const filterKind = (condition) => {
+        if (!condition || typeof condition !== 'object') return '';
+        if (Array.isArray(condition.values)) return 'values';
+        return 'from' in condition || 'to' in condition ? 'date' : 'range';
+    };
 
-        columns.forEach(col => {
-            const uniqueValues = ExcelParser.getUniqueValues(rawData, col);
+    const commitFilter = (col, condition) => {
+        if (condition) activeFilters[col] = condition;
+        else delete activeFilters[col];
+        saveFiltersConfig(); // Persist filters on change
+        applyFilters();
+    };
 
-            // Improved Heuristic: filter columns that look like categories
-            // Increased limit to 500 to support large concatenated datasets
-            const firstVal = rawData[0][col];
-            const isNumericValue = typeof firstVal === 'number' && uniqueValues.length > 50;
+    const createFilterItem = (col, note = '') => {
+        const div = document.createElement('div');
+        div.className = 'filter-item';
+        const header = document.createElement('div');
+        header.className = 'filter-item-header';
+        const label = document.createElement('label');
+        label.textContent = col;
+        header.appendChild(label);
+        if (note) {
+            const small = document.createElement('small');
+            small.className = 'filter-note';
+            small.textContent = note;
+            header.appendChild(small);
+        }
+        div.appendChild(header);
+        return { div, header };
+    };
 
-            if (uniqueValues.length > 1 && uniqueValues.length <= 500 && !isNumericValue) {
-                const div = document.createElement('div');
-                div.className = 'filter-item';
+    // Categories: tick any number of values to keep (包含) or drop (排除)
+    const buildValueFilter = (col, uniqueValues) => {
+        const saved = filterKind(activeFilters[col]) === 'values' ? activeFilters[col] : null;
+        const { div, header } = createFilterItem(col);
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'filter-mode';
+        modeSelect.innerHTML = '<option value="include">包含</option><option value="exclude">排除</option>';
+        modeSelect.value = saved && saved.exclude ? 'exclude' : 'include';
+        header.appendChild(modeSelect);
+
+        // Search Input for Filter
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.className = 'filter-search';
+        searchInput.placeholder = `搜尋 ${col}...`;
+
+        const list = document.createElement('div');
+        list.className = 'checkbox-list-container filter-values';
+        const selected = new Set(saved ? saved.values.map(String) : []);
+        const boxes = uniqueValues.map(val => {
+            const item = document.createElement('label');
+            item.className = 'checkbox-item';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.value = String(val);
+            cb.checked = selected.has(cb.value);
+            const span = document.createElement('span');
+            span.textContent = val;
+            item.appendChild(cb);
+            item.appendChild(span);
+            list.appendChild(item);
+            return { item, cb };
+        });
 
-                const label = document.createElement('label');
-                label.textContent = col;
-
-                // Search Input for Filter
-                const searchInput = document.createElement('input');
-                searchInput.type = 'text';
-                searchInput.className = 'filter-search';
-                searchInput.placeholder = `搜尋 ${col}...`;
-
-                const select = document.createElement('select');
-                select.className = 'custom-select';
-                select.innerHTML = `<option value="">全部</option>`;
-
-                const renderOptions = (filterText = '') => {
-                    const currentVal = select.value;
-                    select.innerHTML = `<option value="">全部</option>`;
-
-                    uniqueValues
-                        .filter(val => String(val).toLowerCase().includes(filterText.toLowerCase()))
-                        .forEach(val => {
-                            const opt = document.createElement('option');
-                            opt.value = val;
-                            opt.textContent = val;
-                            select.appendChild(opt);
-                        });
-
-                    // Maintain selection if it still exists in the filtered list
-                    if (currentVal && Array.from(select.options).some(o => o.value === currentVal)) {
-                        select.value = currentVal;
-                    }
-                };
+        // Keep only saved values that still exist in this dataset
+        const values = boxes.filter(b => b.cb.checked).map(b => b.cb.value);
+        if (saved && values.length === 0) delete activeFilters[col];
+        else if (saved) activeFilters[col] = { values, exclude: saved.exclude };
 
-                renderOptions();
+        const commit = () => {
+            const checked = boxes.filter(b => b.cb.checked).map(b => b.cb.value);
+            commitFilter(col, checked.length > 0 ? { values: checked, exclude: modeSelect.value === 'exclude' } : null);
+        };
+        boxes.forEach(b => b.cb.addEventListener('change', commit));
+        modeSelect.addEventListener('change', () => {
+            if (activeFilters[col]) commit();
+        });
 
-                searchInput.addEventListener('input', (e) => {
-                    renderOptions(e.target.value);
-                });
+        searchInput.addEventListener('input', (e) => {
+            const text = e.target.value.toLowerCase();
+            boxes.forEach(b => b.item.classList.toggle('hidden', !b.cb.value.toLowerCase().includes(text)));
+        });
 
-                // Restore previous selection if applicable
-                if (activeFilters[col] !== undefined && uniqueValues.includes(String(activeFilters[col]))) {
-                    // Make sure the selected option is visible even if it doesn't match current search
-                    select.value = activeFilters[col];
-                } else if (activeFilters[col] !== undefined) {
-                    delete activeFilters[col];
-                }
+        div.appendChild(searchInput);
+        div.appendChild(list);
+        return div;
+    };
 
-                select.addEventListener('change', (e) => {
-                    if (e.target.value === "") {
-                        delete activeFilters[col];
-                    } else {
-                        activeFilters[col] = e.target.value;
-                    }
-                    saveFiltersConfig(); // Persist filters on change
-                    applyFilters();
-                });
+    // Numbers: min / max sliders over the column's profiled range, with inputs for exact bounds
+    const buildRangeFilter = (col, profile) => {
+        const saved = filterKind(activeFilters[col]) === 'range' ? activeFilters[col] : null;
+        const fmt = (v) => ExcelParser.formatValue(v);
+        const { div } = createFilterItem(col, `${fmt(profile.min)} ~ ${fmt(profile.max)}`);
+        const step = profile.integers ? 1 : (profile.max - profile.min) / 100 || 'any';
+
+        const range = document.createElement('div');
+        range.className = 'range-filter';
+        const inputs = document.createElement('div');
+        inputs.className = 'input-with-select';
+
+        const bounds = ['min', 'max'].map(key => {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'range-slider';
+            slider.min = profile.min;
+            slider.max = profile.max;
+            slider.step = step;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'custom-input';
+            input.placeholder = key === 'min' ? '下限' : '上限';
+            const value = saved && typeof saved[key] === 'number' ? saved[key] : profile[key];
+            slider.value = value;
+            if (saved && typeof saved[key] === 'number') input.value = value;
+            slider.addEventListener('input', () => { input.value = slider.value; });
+            range.appendChild(slider);
+            inputs.appendChild(input);
+            return { key, slider, input };
+        });
+
+        // A bound at (or beyond) the column's own extreme is no bound at all
+        const commit = () => {
+            let [lo, hi] = bounds.map(b => parseFloat(b.input.value));
+            if (!isNaN(lo) && !isNaN(hi) && lo > hi) [lo, hi] = [hi, lo];
+            const condition = {
+                min: !isNaN(lo) && lo > profile.min ? lo : null,
+                max: !isNaN(hi) && hi < profile.max ? hi : null
+            };
+            bounds.forEach(b => {
+                const val = condition[b.key];
+                b.input.value = val === null ? '' : val;
+                b.slider.value = val === null ? profile[b.key] : val;
+            });
+            commitFilter(col, condition.min === null && condition.max === null ? null : condition);
+        };
+        bounds.forEach(b => {
+            b.slider.addEventListener('change', commit);
+            b.input.addEventListener('change', commit);
+        });
+
+        div.appendChild(range);
+        div.appendChild(inputs);
+        return div;
+    };
+
+    // Dates: inclusive from / to days, limited to the column's profiled range
+    const buildDateFilter = (col, profile) => {
+        const saved = filterKind(activeFilters[col]) === 'date' ? activeFilters[col] : null;
+        const pad = (n) => String(n).padStart(2, '0');
+        const toDay = (d) => d instanceof Date && !isNaN(d) ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` : '';
+        const first = toDay(profile.min);
+        const last = toDay(profile.max);
+        const { div } = createFilterItem(col, first && last ? `${first} ~ ${last}` : '');
+
+        const inputs = document.createElement('div');
+        inputs.className = 'input-with-select';
+        const [fromInput, toInput] = ['from', 'to'].map(key => {
+            const input = document.createElement('input');
+            input.type = 'date';
+            input.className = 'custom-input';
+            input.title = key === 'from' ? '起始日 (含)' : '結束日 (含)';
+            input.min = first;
+            input.max = last;
+            input.value = saved && saved[key] ? saved[key] : '';
+            inputs.appendChild(input);
+            return input;
+        });
+
+        const commit = () => {
+            let [from, to] = [fromInput.value, toInput.value];
+            if (from && to && from > to) [from, to] = [to, from];
+            fromInput.value = from;
+            toInput.value = to;
+            commitFilter(col, from || to ? { from, to } : null);
+        };
+        fromInput.addEventListener('change', commit);
+        toInput.addEventListener('change', commit);
+
+        div.appendChild(inputs);
+        return div;
+    };
+
+    function setupFilters(columns) {
+        filterContainer.innerHTML = '';
+        categoricalColumns = [];
+        const filterable = new Set();
+        const pendingValues = [];
 
-                div.appendChild(label);
-                div.appendChild(searchInput);
-                div.appendChild(select);
-                filterContainer.appendChild(div);
+        columns.forEach(col => {
+            const role = getColumnRole(col);
+            const profile = columnProfiles[col];
+            // Category columns come from the column profile (or the user's role override);
+            // their values were collected by the data worker unless the column is unusually wide
+            const wantsValues = role === 'category' || isLowCardinalityNumber(col);
+            if (wantsValues && !uniqueValueCache[col]) {
+                // Fetched below; a saved filter on the column waits for them
+                pendingValues.push(col);
+                filterable.add(col);
+                return;
+            }
+            const uniqueValues = wantsValues ? uniqueValueCache[col] : [];
+
+            let item = null;
+            if (uniqueValues.length > 0) {
+                categoricalColumns.push(col);
+                item = buildValueFilter(col, uniqueValues);
+            } else if ((role === 'date' || (role !== 'ignore' && getColumnType(col) === 'date')) && profile && profile.min instanceof Date) {
+                item = buildDateFilter(col, profile);
+            } else if (role === 'measurement' && getColumnType(col) === 'number' && profile && profile.min !== null && profile.min < profile.max) {
+                item = buildRangeFilter(col, profile);
+            }
+            if (item) {
+                filterable.add(col);
+                filterContainer.appendChild(item);
             }
         });
-    }
 
-    function applyFilters() {
-        filteredData = rawData.filter(row => {
-            return Object.entries(activeFilters).every(([col, val]) => {
-                return String(row[col]) === String(val);
-            });
+        // Saved filters for columns this dataset cannot filter would otherwise apply unseen
+        Object.keys(activeFilters).forEach(col => {
+            if (!filterable.has(col)) delete activeFilters[col];
+        });
+
+        // Group-by choices are the same categorical columns
+        groupBySelector.innerHTML = '<option value="">無</option>';
+        categoricalColumns.forEach(col => {
+            const opt = document.createElement('option');
+            opt.value = col;
+            opt.textContent = col;
+            groupBySelector.appendChild(opt);
         });
+        const prevGroup = groupBySelector.dataset.prevValue;
+        if (prevGroup && categoricalColumns.includes(prevGroup)) {
+            groupBySelector.value = prevGroup;
+        }
+
+        // Values of unusually wide columns are asked of the data worker once, then the filters are rebuilt
+        if (pendingValues.length > 0) {
+            const seq = loadSeq;
+            DataClient.uniqueValues(pendingValues).then(values => {
+                if (seq !== loadSeq) return;
+                Object.assign(uniqueValueCache, values);
+                setupFilters(columns);
+            }).catch(err => {
+                if (!err.cancelled) console.error('Filter values failed', err);
+            });
+        }
+    }
+
+    async function applyFilters() {
+        const seq = ++filterSeq;
+        let count;
+        try {
+            // The data worker keeps the filtered rows (less the excluded ones) for the table, charts and export
+            count = await DataClient.filter({ ...activeFilters }, filterLogic, [...excludedRows]);
+        } catch (err) {
+            if (!err.cancelled) console.error('Filtering failed', err);
+            return;
+        }
+        if (seq !== filterSeq) return; // Superseded by a newer filter change
 
-        filteredRowsEl.textContent = filteredData.length;
+        filteredCount = count;
+        lastAnalysis = null;
+        filteredRowsEl.textContent = filteredCount;
         updateTable();
 
         // Sync Spec Inputs based on filtered results
-        syncSpecInputs();
+        await syncSpecInputs();
+        if (seq !== filterSeq) return;
 
         // Auto update chart if it's already rendered
         if (document.querySelector('.plotly') || xAxisSelector.value) {
             renderChart();
+        } else {
+            updateStats();
         }
     }
 
     resetFiltersBtn.addEventListener('click', () => {
         activeFilters = {};
         saveFiltersConfig(); // Clear persisted filters
-        document.querySelectorAll('.filter-item select').forEach(sel => sel.value = "");
+        if (allColumns.length > 0) setupFilters(allColumns);
         applyFilters();
     });
 
+    filterLogicSelector.addEventListener('change', () => {
+        filterLogic = filterLogicSelector.value;
+        saveFiltersConfig();
+        if (Object.keys(activeFilters).length > 1) applyFilters();
+    });
+
     // --- UI Updates ---
 
     function updateTable(columns) {
         if (!columns) columns = allColumns;
-        if (columns.length === 0 && rawData.length > 0) columns = Object.keys(rawData[0] || {});
+        const seq = ++tableSeq;
 
         // Header
         tableHead.innerHTML = '';
@@ -714,10 +2960,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update table count indicator
         const countDisplay = document.getElementById('table-count');
         if (countDisplay) {
-            countDisplay.textContent = `(共 ${filteredData.length} 筆篩選數據)`;
+            countDisplay.textContent = `(共 ${filteredCount} 筆篩選數據)`;
         }
 
-        if (filteredData.length === 0) {
+        if (filteredCount === 0) {
             const tr = document.createElement('tr');
             const td = document.createElement('td');
             td.colSpan = columns.length || 1;
@@ -743,19 +2989,24 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Implement Incremental Rendering (Lazy Load)
-        renderTableBatch(columns);
-
-        // Update stats
-        updateStats();
+        renderTableBatch(columns, seq);
     }
 
-    function renderTableBatch(columns) {
+    // Rows are paged in from the data worker; a page for a table that has been rebuilt since is dropped
+    async function renderTableBatch(columns, seq) {
         const start = tableCurrentIndex;
-        const end = Math.min(start + tablePageSize, filteredData.length);
+        let rows;
+        try {
+            rows = await DataClient.page(start, tablePageSize);
+        } catch (err) {
+            if (!err.cancelled) console.error('Table page failed', err);
+            return;
+        }
+        if (seq !== tableSeq) return;
+        const end = start + rows.length;
         const fragment = document.createDocumentFragment();
 
-        for (let i = start; i < end; i++) {
-            const row = filteredData[i];
+        rows.forEach(row => {
             const tr = document.createElement('tr');
             columns.forEach(col => {
                 const td = document.createElement('td');
@@ -763,20 +3014,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 tr.appendChild(td);
             });
             fragment.appendChild(tr);
-        }
+        });
 
         tableBody.appendChild(fragment);
         tableCurrentIndex = end;
 
         // If there are more rows, setup IntersectionObserver for the last row
-        if (tableCurrentIndex < filteredData.length) {
+        if (rows.length > 0 && tableCurrentIndex < filteredCount) {
             const lastRow = tableBody.lastElementChild;
             if (lastRow) {
                 if (!tableObserver) {
                     tableObserver = new IntersectionObserver((entries) => {
                         if (entries[0].isIntersecting) {
                             tableObserver.unobserve(lastRow);
-                            renderTableBatch(columns);
+                            renderTableBatch(columns, seq);
                         }
                     }, { root: null, rootMargin: '100px', threshold: 0.1 });
                 }
@@ -785,24 +3036,414 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function updateStats() {
-        const yCols = Array.from(yAxisSelector.selectedOptions).map(opt => opt.value);
-        const specs = {
-            target: parseFloat(targetInput.value),
-            usl: parseFloat(uslInput.value),
-            lsl: parseFloat(lslInput.value),
-            showTarget: showTargetToggle.checked,
-            showSpec: showSpecToggle.checked,
-            showLimits: showLimitsToggle.checked
+    // One row per selected Y column; Target/USL/LSL cells override the shared specs for that column
+    function updateCapabilityTable(yCols, analysis) {
+        capabilityTableBody.innerHTML = '';
+        const show = yCols.length > 0 && filteredCount > 0;
+        capabilityTableCard.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        const shared = getCurrentSpecs();
+        const visibleCols = yCols.filter(c => !hiddenSeries.has(c));
+        const fmt = (v, digits = 4) => v === null || v === undefined || isNaN(v) ? 'N/A' : v.toFixed(digits);
+        const gradeColor = (val) => val >= 1.67 ? 'var(--green)' : val >= 1.33 ? 'var(--blue)' : val >= 1.0 ? 'var(--amber)' : 'var(--red)';
+        const fragment = document.createDocumentFragment();
+
+        yCols.forEach(yCol => {
+            const { capability: stats, groups } = analysis.series[yCol];
+            const tr = document.createElement('tr');
+
+            const nameTd = document.createElement('td');
+            const name = document.createElement('span');
+            name.className = 'series-name';
+            const swatch = document.createElement('span');
+            swatch.className = 'series-swatch';
+            const colorIdx = visibleCols.indexOf(yCol);
+            swatch.style.background = colorIdx >= 0
+                ? ChartRenderer.COLOR_PALETTE[colorIdx % ChartRenderer.COLOR_PALETTE.length]
+                : 'transparent';
+            name.appendChild(swatch);
+            name.appendChild(document.createTextNode(yCol));
+            if (stats.normalized) {
+                const badge = document.createElement('span');
+                badge.className = 'normalized-badge';
+                badge.textContent = '正規化';
+                badge.title = '規格逐列不同：平均值、σ 與能力指標以各列規格正規化後的偏差計算 (雙邊公差換算為 ±1)';
+                name.appendChild(badge);
+            }
+            nameTd.appendChild(name);
+            tr.appendChild(nameTd);
+
+            const addCell = (text) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+                return td;
+            };
+
+            addCell(stats.n);
+            addCell(fmt(stats.mean));
+            addCell(fmt(stats.stdevWithin));
+            addCell(fmt(stats.stdevOverall));
+
+            ['target', 'usl', 'lsl'].forEach(key => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.className = 'spec-cell-input';
+                const override = (seriesSpecs[yCol] || {})[key];
+                const isOverridden = typeof override === 'number';
+                input.value = isOverridden ? override : '';
+                // Without an override the column uses its header tolerance (not stored), else the shared spec
+                const header = (headerSpecs[yCol] || {})[key];
+                const fallback = typeof header === 'number' ? header : shared[key];
+                input.placeholder = isNaN(fallback) ? '-' : String(fallback);
+                input.classList.toggle('overridden', isOverridden);
+                // Limits read row by row come from the spec column, not from a per-column override
+                const rowColumn = shared.columns && shared.columns[key];
+                if (rowColumn) {
+                    input.value = '';
+                    input.placeholder = '逐列';
+                    input.title = `逐列取自「${rowColumn}」`;
+                    input.disabled = true;
+                }
+                input.addEventListener('change', () => {
+                    const val = parseFloat(input.value);
+                    const entry = { ...(seriesSpecs[yCol] || {}) };
+                    if (isNaN(val)) delete entry[key];
+                    else entry[key] = val;
+                    if (Object.keys(entry).length > 0) seriesSpecs[yCol] = entry;
+                    else delete seriesSpecs[yCol];
+                    saveSeriesSpecs();
+                    renderChart();
+                });
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            addCell(stats.ca === null ? 'N/A' : `${(stats.ca * 100).toFixed(2)}%`);
+            [stats.cp, stats.cpk, stats.pp, stats.ppk].forEach(val => {
+                const td = addCell(fmt(val, 3));
+                if (val !== null) td.style.color = gradeColor(val);
+            });
+            const ppmTd = addCell(stats.ppm === null ? 'N/A' : Math.round(stats.ppm).toLocaleString());
+            if (stats.ppm > 0) ppmTd.style.color = 'var(--red)';
+
+            fragment.appendChild(tr);
+
+            // Stratified rows: the same indices per category of the group-by column
+            groups.forEach(g => {
+                const gStats = g.stats;
+                const gtr = document.createElement('tr');
+                gtr.className = 'group-row';
+                [
+                    `↳ ${g.key}`,
+                    gStats.n,
+                    fmt(gStats.mean),
+                    fmt(gStats.stdevWithin),
+                    fmt(gStats.stdevOverall),
+                    fmt(gStats.limits.target),
+                    fmt(gStats.limits.usl),
+                    fmt(gStats.limits.lsl),
+                    gStats.ca === null ? 'N/A' : `${(gStats.ca * 100).toFixed(2)}%`
+                ].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    gtr.appendChild(td);
+                });
+                [gStats.cp, gStats.cpk, gStats.pp, gStats.ppk].forEach(val => {
+                    const td = document.createElement('td');
+                    td.textContent = fmt(val, 3);
+                    if (val !== null) td.style.color = gradeColor(val);
+                    gtr.appendChild(td);
+                });
+                const gPpm = document.createElement('td');
+                gPpm.textContent = gStats.ppm === null ? 'N/A' : Math.round(gStats.ppm).toLocaleString();
+                if (gStats.ppm > 0) gPpm.style.color = 'var(--red)';
+                gtr.appendChild(gPpm);
+                fragment.appendChild(gtr);
+            });
+        });
+
+        capabilityTableBody.appendChild(fragment);
+    }
+
+    resetSeriesSpecsBtn.addEventListener('click', () => {
+        seriesSpecs = {};
+        saveSeriesSpecs();
+        if (filteredCount > 0) renderChart();
+    });
+
+    // Column profile panel: one row per column with editable type and role
+    function updateProfileTable() {
+        columnProfileBody.innerHTML = '';
+        columnProfileCard.classList.toggle('hidden', allColumns.length === 0);
+        if (allColumns.length === 0) return;
+
+        const fmtPct = (v) => `${v.toFixed(1)}%`;
+        const fmtVal = (v) => {
+            if (v === null || v === undefined) return '-';
+            if (v instanceof Date) return ChartRenderer.formatX(v, true);
+            return String(ExcelParser.formatValue(v));
+        };
+        const makeSelect = (choices, value, inferred, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'custom-select card-select';
+            Object.entries(choices).forEach(([key, label]) => {
+                const opt = document.createElement('option');
+                opt.value = key;
+                opt.textContent = key === inferred ? `${label} (自動)` : label;
+                select.appendChild(opt);
+            });
+            select.value = value;
+            select.classList.toggle('overridden', value !== inferred);
+            select.addEventListener('change', () => onChange(select.value));
+            return select;
+        };
+        const setOverride = (col, key, value, inferred) => {
+            const entry = { ...(columnOverrides[col] || {}) };
+            if (value === inferred) delete entry[key];
+            else entry[key] = value;
+            if (Object.keys(entry).length > 0) columnOverrides[col] = entry;
+            else delete columnOverrides[col];
+            saveColumnOverrides();
+            applyColumnRoles();
+        };
+
+        const fragment = document.createDocumentFragment();
+        allColumns.forEach(col => {
+            const profile = columnProfiles[col];
+            if (!profile) return;
+            const tr = document.createElement('tr');
+            const addCell = (content) => {
+                const td = document.createElement('td');
+                if (typeof content === 'string') td.textContent = content;
+                else td.appendChild(content);
+                tr.appendChild(td);
+                return td;
+            };
+
+            addCell(col);
+            const type = getColumnType(col);
+            addCell(makeSelect(ExcelParser.COLUMN_TYPES, type, profile.type,
+                (val) => setOverride(col, 'type', val, profile.type)));
+            const inferredRole = ExcelParser.suggestRole(profile, type);
+            addCell(makeSelect(ExcelParser.COLUMN_ROLES, getColumnRole(col), inferredRole,
+                (val) => setOverride(col, 'role', val, inferredRole)));
+            addCell(fmtPct(profile.missingPct));
+            addCell(fmtPct(profile.nonNumericPct));
+            const unparsedCell = addCell(isNumericColumn(col) && profile.unparsed > 0 ? String(profile.unparsed) : '-');
+            if (isNumericColumn(col) && profile.unparsed > 0) {
+                unparsedCell.className = 'unparsed-cell';
+                unparsedCell.title = profile.unparsedSamples.join('\n');
+            }
+            addCell(String(profile.unique));
+            addCell(fmtVal(profile.min));
+            addCell(fmtVal(profile.max));
+            addCell(profile.samples.map(fmtVal).join(', ')).className = 'sample-cell';
+            fragment.appendChild(tr);
+        });
+        columnProfileBody.appendChild(fragment);
+        updateParseReport();
+    }
+
+    // Number parsing only matters for columns used as numbers
+    const isNumericColumn = (col) => getColumnType(col) === 'number' || ['measurement', 'spec'].includes(getColumnRole(col));
+
+    // Per-column summary of cells the number format rejected, plus detection-limit cells
+    function updateParseReport() {
+        const failed = allColumns.filter(col => columnProfiles[col] && isNumericColumn(col) && columnProfiles[col].unparsed > 0);
+        const censored = allColumns.filter(col => columnProfiles[col] && isNumericColumn(col) && columnProfiles[col].censored > 0);
+        const parts = [];
+        if (failed.length > 0) {
+            parts.push('無法解析為數值：' + failed.map(col => {
+                const p = columnProfiles[col];
+                return `${col} ${p.unparsed} 格 (例: ${p.unparsedSamples.slice(0, 3).join('、')})`;
+            }).join('；'));
+        }
+        if (censored.length > 0) {
+            parts.push('檢出限數值：' + censored.map(col => `${col} ${columnProfiles[col].censored} 格`).join('；'));
+        }
+        parseReportEl.textContent = parts.join('。');
+        parseReportEl.classList.toggle('hidden', parts.length === 0);
+    }
+
+    // --- Data quality (missing / unparseable / duplicates / outliers) ---
+
+    /**
+     * Scan the prepared rows in the data worker: duplicate rows and, per measurement column, outliers by the selected method
+     * Missing and unparseable counts come from the column profiles
+     */
+    async function updateQualityReport() {
+        const seq = ++qualitySeq;
+        const columns = columnsWithRole(allColumns, 'measurement');
+        let report;
+        try {
+            report = await runWithProgress('檢查數據品質', (onProgress) =>
+                DataClient.quality(columns, outlierMethodSelector.value, { onProgress }));
+        } catch (err) {
+            if (err.cancelled) resetApp();
+            else console.error('Data quality scan failed', err);
+            return;
+        }
+        if (seq !== qualitySeq) return; // Superseded by a newer scan
+        qualityReport = report;
+        rebuildExclusions();
+        renderQualityReport(columns);
+    }
+
+    function rebuildExclusions() {
+        excludedRows = new Set();
+        if (excludeDuplicates) qualityReport.duplicates.forEach(i => excludedRows.add(i));
+        if (excludeOutliers) Object.values(qualityReport.outliers).forEach(list => list.forEach(i => excludedRows.add(i)));
+    }
+
+    function renderQualityReport(columns) {
+        dataQualityCard.classList.toggle('hidden', rowCount === 0);
+        const outlierRows = new Set();
+        Object.values(qualityReport.outliers).forEach(list => list.forEach(i => outlierRows.add(i)));
+
+        const rowNumbers = (list) => list.slice(0, 5).map(i => i + 1).join('、') + (list.length > 5 ? '…' : '');
+        duplicateSummaryEl.textContent = qualityReport.duplicates.length > 0
+            ? `重複列: ${qualityReport.duplicates.length} 列 (第 ${rowNumbers(qualityReport.duplicates)} 筆)`
+            : '重複列: 0';
+        outlierSummaryEl.textContent = `離群值: ${outlierRows.size} 列`;
+        toggleDuplicatesBtn.textContent = excludeDuplicates ? '還原重複列' : '排除重複列';
+        toggleDuplicatesBtn.classList.toggle('active', excludeDuplicates);
+        toggleDuplicatesBtn.disabled = !excludeDuplicates && qualityReport.duplicates.length === 0;
+        toggleOutliersBtn.textContent = excludeOutliers ? '還原離群值' : '排除離群值';
+        toggleOutliersBtn.classList.toggle('active', excludeOutliers);
+        toggleOutliersBtn.disabled = !excludeOutliers && outlierRows.size === 0;
+        qualityRowsUsedEl.textContent = excludedRows.size > 0
+            ? `分析使用 ${rowCount - excludedRows.size} / ${rowCount} 列 (已排除 ${excludedRows.size} 列)`
+            : `分析使用全部 ${rowCount} 列`;
+
+        dataQualityBody.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        columns.forEach(col => {
+            const profile = columnProfiles[col];
+            if (!profile) return;
+            const outliers = qualityReport.outliers[col] || [];
+            const outlierValues = qualityReport.outlierValues[col] || [];
+            const valid = profile.count - profile.missing - profile.unparsed;
+            const tr = document.createElement('tr');
+            [
+                col,
+                String(valid),
+                String(profile.missing),
+                String(profile.unparsed),
+                String(outliers.length),
+                outliers.slice(0, 5).map((i, k) => `${ExcelParser.formatValue(outlierValues[k])} (第 ${i + 1} 筆)`).join('、')
+            ].forEach((text, k) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if ((k === 3 || k === 4) && text !== '0') td.className = 'unparsed-cell';
+                tr.appendChild(td);
+            });
+            fragment.appendChild(tr);
+        });
+        dataQualityBody.appendChild(fragment);
+    }
+
+    // Exclusions apply on top of the filters, so re-filter after toggling
+    const applyExclusions = () => {
+        rebuildExclusions();
+        renderQualityReport(columnsWithRole(allColumns, 'measurement'));
+        applyFilters();
+    };
+
+    toggleDuplicatesBtn.addEventListener('click', () => {
+        excludeDuplicates = !excludeDuplicates;
+        applyExclusions();
+    });
+
+    toggleOutliersBtn.addEventListener('click', () => {
+        excludeOutliers = !excludeOutliers;
+        applyExclusions();
+    });
+
+    outlierMethodSelector.addEventListener('change', async () => {
+        saveLayoutConfig();
+        if (rowCount === 0) return;
+        await updateQualityReport();
+        if (excludeOutliers) applyFilters();
+    });
+
+    /**
+     * "n / N 列" next to each chart title: rows that carried a numeric value for the plotted Y columns
+     * (and a group value for the stratified chart) out of the filtered rows
+     */
+    function updateRowsUsed(yCols, groupCol, analysis) {
+        const total = filteredCount;
+        const plotRows = analysis.rows;
+        const perColumn = yCols.map(col => [col, analysis.counts[col]]);
+        const detail = perColumn.map(([col, n]) => `${col}: ${n} 列`).join('\n');
+        const excludedNote = excludedRows.size > 0 ? `\n另有 ${excludedRows.size} 列已於數據品質面板排除` : '';
+        const setBadge = (el, used) => {
+            el.textContent = `使用 ${used} / ${total} 列`;
+            el.title = `篩選後 ${total} 列，無數值的列不繪製\n${detail}${excludedNote}`;
+            el.classList.toggle('partial', used < total || excludedRows.size > 0);
         };
 
-        if (yCols.length > 0 && filteredData.length > 0) {
-            const firstCol = yCols[0];
-            const values = filteredData.map(row => ExcelParser.parseNumber(row[firstCol]))
-                .filter(v => !isNaN(v));
+        setBadge(trendRowsUsedEl, plotRows.length);
+        setBadge(distRowsUsedEl, plotRows.length);
+        if (groupCol) {
+            setBadge(groupRowsUsedEl, plotRows.filter(row => row[groupCol] !== undefined && row[groupCol] !== null && row[groupCol] !== '').length);
+        }
+    }
+
+    // Role / type changes rebuild the selectors and filters that depend on them
+    async function applyColumnRoles() {
+        // Keep the current Y selection even if it was picked by default rather than by the user
+        const selectedY = Array.from(yAxisSelector.selectedOptions).map(o => o.value);
+        if (selectedY.length > 0) yAxisSelector.dataset.prevValues = JSON.stringify(selectedY);
+        setupSelectors(allColumns);
+        try { setupFilters(allColumns); } catch (e) { console.error('Filter setup failed', e); }
+        updateProfileTable();
+        await updateQualityReport();
+        applyFilters();
+    }
+
+    resetColumnRolesBtn.addEventListener('click', () => {
+        columnOverrides = {};
+        saveColumnOverrides();
+        if (allColumns.length > 0) applyColumnRoles();
+    });
+
+    /**
+     * Statistics-only analysis for a selection the latest one does not cover (hidden series, another non-normal
+     * method); a render or filter change started meanwhile supersedes it
+     */
+    async function refreshStats(yCols) {
+        const seq = ++statsSeq;
+        const filterAt = filterSeq;
+        let analysis;
+        try {
+            analysis = await requestAnalysis(yCols);
+        } catch (err) {
+            if (!err.cancelled) console.error('Statistics failed', err);
+            return;
+        }
+        if (seq !== statsSeq || filterAt !== filterSeq) return;
+        lastAnalysis = analysis;
+        updateStats(analysis);
+    }
+
+    // analysis: the data worker's analysis of the rendered series, used when it covers the selected Y columns
+    function updateStats(analysis = lastAnalysis) {
+        const yCols = Array.from(yAxisSelector.selectedOptions).map(opt => opt.value);
+        if (yCols.length > 0 && filteredCount > 0 && !analysisCovers(analysis, yCols)) {
+            refreshStats(yCols);
+            return;
+        }
+        const current = yCols.length > 0 && filteredCount > 0 ? analysis : null;
+        updateCapabilityTable(yCols, current);
 
-            const stats = ExcelParser.getStats(values, specs);
+        if (current) {
+            const { capability: stats } = current.series[yCols[0]];
             yMeanEl.textContent = stats.mean.toFixed(4);
+            yMeanEl.title = stats.normalized ? '規格逐列不同：以各列規格正規化後的偏差計算 (雙邊公差換算為 ±1)' : '';
 
             // Render Ca with Color Coding
             if (stats.ca !== null) {
@@ -818,13 +3459,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 caValueEl.style.color = '';
             }
 
-            // Render Cp/Cpk/Ppk with Color Coding
-            const renderIndex = (el, val) => {
+            // Render Cp/Cpk/Pp/Ppk with Color Coding (optionally graded by the lower confidence bound)
+            const renderIndex = (el, val, ci = null, ciEl = null) => {
+                if (ciEl) {
+                    ciEl.textContent = ci ? `[${ci.lower.toFixed(3)}, ${ci.upper.toFixed(3)}]` : '';
+                    ciEl.title = ci ? `${Math.round(intervals.confidence * 100)}% 信賴區間` : '';
+                }
                 if (val !== null) {
                     el.textContent = val.toFixed(4);
-                    if (val >= 1.67) el.style.color = 'var(--green)';
-                    else if (val >= 1.33) el.style.color = 'var(--blue)';
-                    else if (val >= 1.0) el.style.color = 'var(--amber)';
+                    const grade = ciColorToggle.checked && ci ? ci.lower : val;
+                    if (grade >= 1.67) el.style.color = 'var(--green)';
+                    else if (grade >= 1.33) el.style.color = 'var(--blue)';
+                    else if (grade >= 1.0) el.style.color = 'var(--amber)';
                     else el.style.color = 'var(--red)';
                 } else {
                     el.textContent = 'N/A';
@@ -832,11 +3478,59 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             };
 
-            renderIndex(cpValueEl, stats.cp);
-            renderIndex(cpkValueEl, stats.cpk);
-            renderIndex(ppkValueEl, stats.ppk);
+            const confidence = parseFloat(ciLevelSelector.value);
+            const intervals = confidence
+                ? Capability.confidenceIntervals(stats, confidence)
+                : { confidence: null, cp: null, cpk: null, pp: null, ppk: null };
+            renderIndex(cpValueEl, stats.cp, intervals.cp, cpCiEl);
+            renderIndex(cpkValueEl, stats.cpk, intervals.cpk, cpkCiEl);
+            renderIndex(ppValueEl, stats.pp, intervals.pp, ppCiEl);
+            renderIndex(ppkValueEl, stats.ppk, intervals.ppk, ppkCiEl);
+
+            // Non-normal capability alongside the normal-theory indices
+            const method = capabilityMethodSelector.value;
+            nonNormalCard.classList.toggle('hidden', !method);
+            if (method) {
+                const result = current.nonNormal;
+                nonNormalLabelEl.textContent = `非常態能力 · ${result.label}`;
+                if (result.error) {
+                    renderIndex(nnPpValueEl, null);
+                    renderIndex(nnPpkValueEl, null);
+                    nonNormalDetailEl.textContent = result.error;
+                } else {
+                    renderIndex(nnPpValueEl, result.pp);
+                    renderIndex(nnPpkValueEl, result.ppk);
+                    const adText = result.normality && result.normality.ad
+                        ? ` | 轉換後 AD p=${result.normality.ad.pValue.toFixed(3)}`
+                        : '';
+                    nonNormalDetailEl.textContent = `${result.description}${adText}`;
+                }
+            }
 
-            uclLclEl.textContent = `UCL: ${stats.ucl.toFixed(4)} | LCL: ${stats.lcl.toFixed(4)}`;
+            // X-bar charts report the limits of the subgroup means, attribute charts their centre line;
+            // control limits are always on the raw values, as drawn on the chart
+            const sg = stats.control.subgroup;
+            const attr = isAttributeChart() && hasValidAttributeConfig() ? computeAttributeStats(yCols[0], current.rows) : null;
+            if (attr) {
+                const { result } = attr;
+                const centerLabel = { p: 'p̄', np: 'np̄', c: 'c̄', u: 'ū' }[result.chartType];
+                uclLclEl.textContent = result.isConstant
+                    ? `${centerLabel}: ${result.center.toFixed(4)} | UCL: ${result.ucl[0].toFixed(4)} | LCL: ${result.lcl[0].toFixed(4)}`
+                    : `${centerLabel}: ${result.center.toFixed(4)} | UCL/LCL: 依樣本數變動`;
+            } else if (sg && sg.isBalanced) {
+                uclLclEl.textContent = `X̄ UCL: ${sg.xbar.ucl[0].toFixed(4)} | LCL: ${sg.xbar.lcl[0].toFixed(4)} (n=${sg.subgroupSize})`;
+            } else if (sg) {
+                uclLclEl.textContent = 'X̄ UCL/LCL: 依子群組大小變動';
+            } else {
+                uclLclEl.textContent = `UCL: ${stats.control.ucl.toFixed(4)} | LCL: ${stats.control.lcl.toFixed(4)}`;
+            }
+            if (!sg) {
+                sdWithinItem.dataset.formula = '\\sigma_{within} = \\frac{\\overline{MR}}{d_2}, d_2=1.128';
+            } else if (sg.chartType === 'xbar-s') {
+                sdWithinItem.dataset.formula = `\\sigma_{within} = \\frac{\\bar{S}}{c_4}${sg.isBalanced ? `, c_4=${sg.constants.c4}` : ''}`;
+            } else {
+                sdWithinItem.dataset.formula = `\\sigma_{within} = \\frac{\\bar{R}}{d_2}${sg.isBalanced ? `, d_2=${sg.constants.d2}` : ''}`;
+            }
             sdWithinEl.textContent = stats.stdevWithin.toFixed(4);
             sdBetweenEl.textContent = stats.stdevBetween.toFixed(4);
             sdOverallEl.textContent = stats.stdevOverall.toFixed(4);
@@ -846,10 +3540,13 @@ document.addEventListener('DOMContentLoaded', () => {
             caValueEl.textContent = 'N/A';
             cpValueEl.textContent = 'N/A';
             cpkValueEl.textContent = 'N/A';
+            ppValueEl.textContent = 'N/A';
             ppkValueEl.textContent = 'N/A';
+            [cpCiEl, cpkCiEl, ppCiEl, ppkCiEl].forEach(el => { el.textContent = ''; });
             sdWithinEl.textContent = '-';
             sdBetweenEl.textContent = '-';
             sdOverallEl.textContent = '-';
+            nonNormalCard.classList.add('hidden');
         }
     }
 
@@ -857,7 +3554,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     generateChartBtn.addEventListener('click', renderChart);
 
-    function renderChart() {
+    async function renderChart() {
         const xCol = xAxisSelector.value;
         const xCol2 = xAxis2Selector.value;
         const xIsDate = xIsDateCheckbox.checked;
@@ -867,41 +3564,95 @@ document.addEventListener('DOMContentLoaded', () => {
         // Filter out hidden series
         yCols = yCols.filter(c => !hiddenSeries.has(c));
 
-        const specs = {
-            target: parseFloat(targetInput.value),
-            usl: parseFloat(uslInput.value),
-            lsl: parseFloat(lslInput.value),
-            showTarget: showTargetToggle.checked,
-            showSpec: showSpecToggle.checked,
-            showLimits: showLimitsToggle.checked
-        };
-
         if (!xCol || yCols.length === 0) {
             alert('請選擇 X 軸與 Y 軸欄位');
             return;
         }
 
-        const values = filteredData.map(row => ExcelParser.parseNumber(row[yCols[0]]))
-            .filter(v => !isNaN(v));
-        const currentStats = ExcelParser.getStats(values, specs);
+        if (isSubgroupChart() && !hasValidSubgroups()) {
+            alert('請選擇子群組欄位或輸入固定子群組大小 (2–25)');
+            return;
+        }
+
+        if (isAttributeChart() && !hasValidAttributeConfig()) {
+            alert(`${chartTypeSelector.value} 圖需選擇樣本數欄位`);
+            return;
+        }
+
+        if (isShiftChart() && !hasValidShiftParams()) {
+            alert(chartTypeSelector.value === 'ewma' ? '請輸入有效的 EWMA 參數 (0 < λ ≤ 1，L > 0)' : '請輸入有效的 CUSUM 參數 (k ≥ 0，h > 0)');
+            return;
+        }
+
+        // Each series gets its own statistics and (possibly overridden) spec limits, computed once for this render
+        // by the data worker; a newer render or filter change drops this one
+        const seq = ++renderSeq;
+        const filterAt = filterSeq;
+        statsSeq++;
+        let analysis;
+        try {
+            analysis = await requestAnalysis(yCols);
+        } catch (err) {
+            if (!err.cancelled) console.error('Analysis failed', err);
+            return;
+        }
+        if (seq !== renderSeq || filterAt !== filterSeq) return;
+        lastAnalysis = analysis;
+        const { rows, series } = analysis;
+        const firstSpecs = series[yCols[0]].specs;
+        const currentStats = series[yCols[0]].stats;
+        const violations = computeViolations(yCols, analysis);
+        updateViolationsPanel(violations);
 
         if (toggleTrend.checked) {
-            ChartRenderer.renderTrendChart(filteredData, xCol, yCols, specs, currentStats, 'plotly-trend', currentSheet, xCol2, xIsDate, x2IsDate);
+            const spc = {
+                ...getSpcOptions(),
+                violations: violations ? violations.byColumn : {},
+                showZones: showZonesToggle.checked,
+                showMR: showMRToggle.checked,
+                series
+            };
+            ChartRenderer.renderTrendChart(rows, xCol, yCols, firstSpecs, currentStats, 'plotly-trend', currentSheet, xCol2, xIsDate, x2IsDate, spc);
         }
+        // The distribution and group charts draw a single Target/USL/LSL per series: limits that vary by row have no
+        // such line, so they are left out there (capability is reported on the normalised deviation instead)
+        const fixedSpecs = (yCol) => series[yCol].capability.normalized
+            ? { ...series[yCol].specs, target: NaN, usl: NaN, lsl: NaN }
+            : series[yCol].capability.limits;
         if (toggleDist.checked) {
-            ChartRenderer.renderNormalDistChart(filteredData, yCols, specs, currentStats, 'plotly-dist', currentSheet);
+            const seriesSpecsMap = Object.fromEntries(yCols.map(yCol => [yCol, fixedSpecs(yCol)]));
+            ChartRenderer.renderNormalDistChart(rows, yCols, fixedSpecs(yCols[0]), currentStats, 'plotly-dist', currentSheet, {
+                mode: distModeSelector.value,
+                seriesSpecs: seriesSpecsMap,
+                groupColumn: groupBySelector.value
+            });
+        }
+
+        const groupCol = groupBySelector.value;
+        groupCard.classList.toggle('hidden', !groupCol);
+        if (groupCol) {
+            ChartRenderer.renderGroupChart(rows, yCols, groupCol, fixedSpecs(yCols[0]), 'plotly-group', currentSheet, { mode: groupModeSelector.value });
         }
-        updateStats();
+        updateRowsUsed(yCols, groupCol, analysis);
+        updateStats(analysis);
     }
 
     exportTrendBtn.addEventListener('click', () => ChartRenderer.exportChart('plotly-trend'));
     exportDistBtn.addEventListener('click', () => ChartRenderer.exportChart('plotly-dist'));
+    exportGroupBtn.addEventListener('click', () => ChartRenderer.exportChart('plotly-group'));
 
     // CSV Export
-    document.getElementById('export-csv').addEventListener('click', () => {
-        if (filteredData.length === 0) return;
+    document.getElementById('export-csv').addEventListener('click', async () => {
+        if (filteredCount === 0) return;
 
-        const worksheet = XLSX.utils.json_to_sheet(filteredData);
+        let rows;
+        try {
+            rows = await DataClient.page(0);
+        } catch (err) {
+            if (!err.cancelled) alert(`匯出失敗: ${err.message}`);
+            return;
+        }
+        const worksheet = XLSX.utils.json_to_sheet(rows);
         const workbook = XLSX.utils.book_new();
         XLSX.utils.book_append_sheet(workbook, worksheet, "FilteredData");
         XLSX.writeFile(workbook, `filtered_data_${currentSheet}.xlsx`);
@@ -953,5 +3704,17 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Initialize Lucide icons (graceful: no-op if CDN unavailable)
     if (window.lucide) window.lucide.createIcons();
+
+    // A link may carry data files and state in its hash; editing the link on an open page opens it again
+    const openLink = () => openFromLink().catch(err => {
+        alert(`連結開啟失敗: ${err.message}`);
+        resetApp();
+    });
+    window.addEventListener('hashchange', () => {
+        if (window.location.hash.length <= 1) return;
+        resetApp();
+        openLink();
+    });
+    if (window.location.hash.length > 1) openLink();
 });
 
@@ -0,0 +1,316 @@
+/**
+ * Capability Module
+ * Capability index confidence intervals and non-normal process capability
+ * (Box-Cox and Johnson transformations, ISO 22514 percentile method)
+ */
+const Capability = (() => {
+    const METHODS = {
+        'box-cox': 'Box-Cox 轉換',
+        'johnson': 'Johnson 轉換',
+        'percentile': 'ISO 22514 百分位數法'
+    };
+
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const stdev = (values, m = mean(values)) => {
+        if (values.length < 2) return 0;
+        return Math.sqrt(values.reduce((a, v) => a + Math.pow(v - m, 2), 0) / (values.length - 1));
+    };
+
+    /**
+     * Pp/Ppk of (already transformed) data against (already transformed) spec limits
+     * A spec limit that cannot be transformed is treated as absent
+     */
+    const performance = (values, usl, lsl) => {
+        const m = mean(values);
+        const s = stdev(values, m);
+        if (s === 0) return { pp: null, ppk: null };
+        const hasUSL = isFinite(usl);
+        const hasLSL = isFinite(lsl);
+        const ppu = hasUSL ? (usl - m) / (3 * s) : null;
+        const ppl = hasLSL ? (m - lsl) / (3 * s) : null;
+        return {
+            pp: hasUSL && hasLSL ? (usl - lsl) / (6 * s) : null,
+            ppk: ppu !== null && ppl !== null ? Math.min(ppu, ppl) : (ppu ?? ppl)
+        };
+    };
+
+    // --- Confidence intervals ---
+
+    const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99];
+
+    /**
+     * Degrees of freedom behind sigma within: pooled Σ(nᵢ − 1) for subgroups, n − 1 for individuals
+     */
+    const withinDegreesOfFreedom = (stats) => {
+        const sg = stats.subgroup;
+        if (sg && sg.groups) return sg.groups.reduce((a, g) => a + Math.max(g.n - 1, 0), 0);
+        return stats.n - 1;
+    };
+
+    // Two-sided chi-square interval for a ratio index (Cp, Pp)
+    const chiSquareInterval = (index, df, confidence) => {
+        if (index === null || !isFinite(index) || !(df > 0)) return null;
+        const alpha = 1 - confidence;
+        return {
+            lower: index * Math.sqrt(Statistics.chiSquareInv(alpha / 2, df) / df),
+            upper: index * Math.sqrt(Statistics.chiSquareInv(1 - alpha / 2, df) / df)
+        };
+    };
+
+    // Bissell (1990) normal approximation for a minimum-type index (Cpk, Ppk)
+    const bissellInterval = (index, n, df, confidence) => {
+        if (index === null || !isFinite(index) || !(df > 0)) return null;
+        const z = Statistics.normInv(1 - (1 - confidence) / 2);
+        const se = Math.sqrt(1 / (9 * n) + index * index / (2 * df));
+        return { lower: index - z * se, upper: index + z * se };
+    };
+
+    /**
+     * Two-sided confidence intervals for the capability indices returned by ExcelParser.getStats
+     * Cp/Pp use the chi-square distribution of the variance, Cpk/Ppk use Bissell's approximation
+     * @param {Object} stats - ExcelParser.getStats result
+     * @param {number} confidence - Confidence level, e.g. 0.95
+     * @returns {Object} { confidence, cp, cpk, pp, ppk } each { lower, upper } or null
+     */
+    const confidenceIntervals = (stats, confidence = 0.95) => {
+        const empty = { confidence, cp: null, cpk: null, pp: null, ppk: null };
+        if (!stats || stats.n < 2) return empty;
+        const dfWithin = withinDegreesOfFreedom(stats);
+        const dfOverall = stats.n - 1;
+        return {
+            confidence,
+            cp: chiSquareInterval(stats.cp, dfWithin, confidence),
+            cpk: bissellInterval(stats.cpk, stats.n, dfWithin, confidence),
+            pp: chiSquareInterval(stats.pp, dfOverall, confidence),
+            ppk: bissellInterval(stats.ppk, stats.n, dfOverall, confidence)
+        };
+    };
+
+    // --- Box-Cox ---
+
+    const boxCoxTransform = (x, lambda) => {
+        if (!(x > 0)) return NaN;
+        return Math.abs(lambda) < 1e-9 ? Math.log(x) : (Math.pow(x, lambda) - 1) / lambda;
+    };
+
+    const boxCoxInverse = (y, lambda) => {
+        if (Math.abs(lambda) < 1e-9) return Math.exp(y);
+        const base = lambda * y + 1;
+        return base > 0 ? Math.pow(base, 1 / lambda) : NaN;
+    };
+
+    /**
+     * Box-Cox with lambda chosen by maximum profile log-likelihood over [-5, 5]
+     */
+    const fitBoxCox = (values) => {
+        if (values.length < 3 || values.some(v => !(v > 0))) {
+            return { error: 'Box-Cox 轉換需所有數據皆大於 0' };
+        }
+
+        const n = values.length;
+        const sumLog = values.reduce((a, v) => a + Math.log(v), 0);
+        const logLik = (lambda) => {
+            const t = values.map(v => boxCoxTransform(v, lambda));
+            const m = mean(t);
+            const variance = t.reduce((a, v) => a + Math.pow(v - m, 2), 0) / n;
+            if (!(variance > 0) || !isFinite(variance)) return -Infinity;
+            return -n / 2 * Math.log(variance) + (lambda - 1) * sumLog;
+        };
+
+        // Coarse grid, then golden-section refinement around the best grid point
+        let best = 0;
+        let bestLL = -Infinity;
+        for (let lambda = -5; lambda <= 5.0001; lambda += 0.1) {
+            const ll = logLik(lambda);
+            if (ll > bestLL) { bestLL = ll; best = lambda; }
+        }
+        let lo = best - 0.1;
+        let hi = best + 0.1;
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        for (let i = 0; i < 40; i++) {
+            const a = hi - ratio * (hi - lo);
+            const b = lo + ratio * (hi - lo);
+            if (logLik(a) > logLik(b)) hi = b; else lo = a;
+        }
+        const lambda = Math.round(((lo + hi) / 2) * 100) / 100;
+
+        return {
+            lambda,
+            transform: (x) => boxCoxTransform(x, lambda),
+            inverse: (y) => boxCoxInverse(y, lambda),
+            description: `λ = ${lambda.toFixed(2)}`
+        };
+    };
+
+    // --- Johnson (Slifker & Shapiro percentile selection) ---
+
+    const quantile = (sorted, p) => {
+        const pos = p * sorted.length - 0.5;
+        if (pos <= 0) return sorted[0];
+        if (pos >= sorted.length - 1) return sorted[sorted.length - 1];
+        const i = Math.floor(pos);
+        return sorted[i] + (pos - i) * (sorted[i + 1] - sorted[i]);
+    };
+
+    /**
+     * Fit SU/SB/SL from the four percentiles at ±z and ±3z (Slifker & Shapiro, 1980)
+     */
+    const fitJohnsonAt = (sorted, z) => {
+        const P = Statistics.normCdf;
+        const x3n = quantile(sorted, P(-3 * z));
+        const x1n = quantile(sorted, P(-z));
+        const x1p = quantile(sorted, P(z));
+        const x3p = quantile(sorted, P(3 * z));
+        const m = x3p - x1p;
+        const n = x1n - x3n;
+        const p = x1p - x1n;
+        if (!(m > 0 && n > 0 && p > 0)) return null;
+
+        const d = m * n / (p * p);
+        const mid = (x1p + x1n) / 2;
+
+        if (d > 1.001) {
+            const eta = 2 * z / Math.acosh(0.5 * (m / p + n / p));
+            const gamma = eta * Math.asinh((n / p - m / p) / (2 * Math.sqrt(d - 1)));
+            const lambda = 2 * p * Math.sqrt(d - 1) / ((m / p + n / p - 2) * Math.sqrt(m / p + n / p + 2));
+            const epsilon = mid + p * (n / p - m / p) / (2 * (m / p + n / p - 2));
+            return {
+                family: 'SU', gamma, eta, lambda, epsilon,
+                transform: (x) => gamma + eta * Math.asinh((x - epsilon) / lambda),
+                inverse: (t) => epsilon + lambda * Math.sinh((t - gamma) / eta)
+            };
+        }
+
+        if (d < 0.999) {
+            const q = (1 + p / m) * (1 + p / n);
+            const eta = z / Math.acosh(0.5 * Math.sqrt(q));
+            const gamma = eta * Math.asinh((p / n - p / m) * Math.sqrt(q - 4) / (2 * (1 / d - 1)));
+            const lambda = p * Math.sqrt(Math.pow(q - 2, 2) - 4) / (1 / d - 1);
+            const epsilon = mid - lambda / 2 + p * (p / n - p / m) / (2 * (1 / d - 1));
+            return {
+                family: 'SB', gamma, eta, lambda, epsilon,
+                transform: (x) => (x > epsilon && x < epsilon + lambda)
+                    ? gamma + eta * Math.log((x - epsilon) / (lambda + epsilon - x))
+                    : NaN,
+                inverse: (t) => epsilon + lambda / (1 + Math.exp(-(t - gamma) / eta))
+            };
+        }
+
+        if (m === p) return null;
+        const eta = 2 * z / Math.log(m / p);
+        const gamma = eta * Math.log((m / p - 1) / (p * Math.sqrt(m / p)));
+        const epsilon = mid - (p / 2) * (m / p + 1) / (m / p - 1);
+        return {
+            family: 'SL', gamma, eta, epsilon,
+            transform: (x) => x > epsilon ? gamma + eta * Math.log(x - epsilon) : NaN,
+            inverse: (t) => epsilon + Math.exp((t - gamma) / eta)
+        };
+    };
+
+    /**
+     * Johnson transformation choosing z in [0.25, 1.25] that maximises the Anderson-Darling p-value
+     */
+    const fitJohnson = (values) => {
+        if (values.length < 10) return { error: 'Johnson 轉換需至少 10 筆數據' };
+
+        const sorted = [...values].sort((a, b) => a - b);
+        let best = null;
+        for (let z = 0.25; z <= 1.2501; z += 0.01) {
+            const fit = fitJohnsonAt(sorted, z);
+            if (!fit || [fit.gamma, fit.eta, fit.epsilon].some(v => !isFinite(v)) || !(fit.eta > 0)) continue;
+            const transformed = values.map(fit.transform);
+            if (transformed.some(v => !isFinite(v))) continue;
+            const ad = Statistics.andersonDarling(transformed);
+            if (ad && (!best || ad.pValue > best.pValue)) best = { ...fit, z, pValue: ad.pValue };
+        }
+
+        if (!best) return { error: '無合適的 Johnson 轉換' };
+        const params = [`γ=${best.gamma.toFixed(3)}`, `η=${best.eta.toFixed(3)}`, `ε=${best.epsilon.toFixed(4)}`];
+        if (best.lambda !== undefined) params.push(`λ=${best.lambda.toFixed(4)}`);
+        return { ...best, description: `${best.family}: ${params.join(', ')}` };
+    };
+
+    /**
+     * Transform data and spec limits, then compute Pp/Ppk on the transformed scale
+     */
+    const analyzeTransformed = (values, specs, fit) => {
+        const transformed = values.map(fit.transform);
+        const tUsl = isNaN(specs.usl) ? NaN : fit.transform(specs.usl);
+        const tLsl = isNaN(specs.lsl) ? NaN : fit.transform(specs.lsl);
+        const { pp, ppk } = performance(transformed, tUsl, tLsl);
+        return {
+            pp, ppk,
+            transformedSpecs: { usl: tUsl, lsl: tLsl },
+            normality: Statistics.testNormality(transformed)
+        };
+    };
+
+    /**
+     * ISO 22514-2 percentile method: Pp = (USL − LSL) / (X₉₉.₈₆₅ − X₀.₁₃₅),
+     * Ppk = min((USL − X₅₀) / (X₉₉.₈₆₅ − X₅₀), (X₅₀ − LSL) / (X₅₀ − X₀.₁₃₅)).
+     * Percentiles come from the Johnson fit, then Box-Cox, then the empirical distribution.
+     */
+    const analyzePercentile = (values, specs) => {
+        let source = null;
+        let q;
+        const johnson = fitJohnson(values);
+        const boxCox = johnson.error ? fitBoxCox(values) : null;
+
+        if (!johnson.error) {
+            source = `Johnson ${johnson.description}`;
+            q = (p) => johnson.inverse(Statistics.normInv(p));
+        } else if (boxCox && !boxCox.error) {
+            const t = values.map(boxCox.transform);
+            const m = mean(t);
+            const s = stdev(t, m);
+            source = `Box-Cox ${boxCox.description}`;
+            q = (p) => boxCox.inverse(m + Statistics.normInv(p) * s);
+        } else {
+            const sorted = [...values].sort((a, b) => a - b);
+            source = '經驗分佈';
+            q = (p) => quantile(sorted, p);
+        }
+
+        const percentiles = { p00135: q(0.00135), p50: q(0.5), p99865: q(0.99865) };
+        const { p00135, p50, p99865 } = percentiles;
+        if (![p00135, p50, p99865].every(isFinite) || p99865 <= p00135) {
+            return { error: '無法估計 0.135% / 99.865% 百分位數' };
+        }
+
+        const hasUSL = !isNaN(specs.usl);
+        const hasLSL = !isNaN(specs.lsl);
+        const ppu = hasUSL ? (specs.usl - p50) / (p99865 - p50) : null;
+        const ppl = hasLSL ? (p50 - specs.lsl) / (p50 - p00135) : null;
+
+        return {
+            pp: hasUSL && hasLSL ? (specs.usl - specs.lsl) / (p99865 - p00135) : null,
+            ppk: ppu !== null && ppl !== null ? Math.min(ppu, ppl) : (ppu ?? ppl),
+            percentiles,
+            description: `X₀.₁₃₅=${p00135.toFixed(4)}, X₅₀=${p50.toFixed(4)}, X₉₉.₈₆₅=${p99865.toFixed(4)} (${source})`
+        };
+    };
+
+    /**
+     * Non-normal capability analysis
+     * @param {Array} values - Numeric measurements
+     * @param {Object} specs - { usl, lsl }
+     * @param {string} method - 'box-cox' | 'johnson' | 'percentile'
+     * @returns {Object} { method, label, pp, ppk, description, normality?, transformedSpecs?, error? }
+     */
+    const analyze = (values, specs = {}, method = 'box-cox') => {
+        const label = METHODS[method];
+        if (!label) return null;
+        if (values.length < 3) return { method, label, error: '數據不足' };
+
+        if (method === 'percentile') {
+            return { method, label, ...analyzePercentile(values, specs) };
+        }
+
+        const fit = method === 'johnson' ? fitJohnson(values) : fitBoxCox(values);
+        if (fit.error) return { method, label, error: fit.error };
+        return { method, label, description: fit.description, fit, ...analyzeTransformed(values, specs, fit) };
+    };
+
+    return { METHODS, CONFIDENCE_LEVELS, confidenceIntervals, analyze, fitBoxCox, fitJohnson };
+})();
@@ -7,6 +7,36 @@ const ChartRenderer = (() => {
     const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif';
     const COLOR_PALETTE = ['#0284c7', '#06b6d4', '#10b981', '#d97706', '#64748b'];
     const OOS_COLOR = '#dc2626';
+    const RULE_COLOR = '#d97706';
+
+    /**
+     * Format an X-axis value, rendering dates as YYYY-MM-DD (plus HH:mm[:ss] when the value has a time of day)
+     * column selects the date format set for that column (ExcelParser.setDateFormats)
+     */
+    const formatX = (val, isDate, column = '') => {
+        if (isDate) {
+            const d = ExcelParser.parseDate(val, ExcelParser.getDateFormat(column));
+            if (d) {
+                const pad = (n) => String(n).padStart(2, '0');
+                const text = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+                if (d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0) return text;
+                return `${text} ${pad(d.getHours())}:${pad(d.getMinutes())}${d.getSeconds() ? `:${pad(d.getSeconds())}` : ''}`;
+            }
+        }
+        return String(val ?? '');
+    };
+
+    /**
+     * Build tick labels that alternate between two colours whenever the label changes
+     */
+    const buildTickText = (labels, colors) => {
+        let colorIdx = 0;
+        return labels.map((val, i) => {
+            if (i > 0 && val !== labels[i - 1]) colorIdx = (colorIdx + 1) % colors.length;
+            const isAlt = colorIdx === 1;
+            return `<span style="color: ${colors[colorIdx]}; font-weight: ${isAlt ? '700' : '600'};">${val}</span>`;
+        });
+    };
 
     /**
      * Render Trend Chart
@@ -16,8 +46,13 @@ const ChartRenderer = (() => {
      * @param {Object} specs - Target/USL/LSL limits
      * @param {Object} stats - Computed statistical metrics (for UCL/LCL)
      * @param {string} targetId - Container ID to render in
+     * @param {Object} spc - Control chart options { chartType, column, size, violations, showZones, showMR, series, lambda, L, k, h }; X-bar charts plot subgroup means with an R/S panel,
+     *                       individuals charts an optional MR panel, EWMA (λ, L) and CUSUM (k, h) charts the smoothed / cumulative statistic centred on each series' mean,
+     *                       attribute charts (p, np, c, u) each Y column as counts against the optional sizeColumn.
+     *                       series maps each Y column to its own { stats, specs }; without it every series uses specs/stats.
+     *                       specs.columns ({ target, usl, lsl } column names) reads the limits row by row
      */
-    const renderTrendChart = (data, xColumn, yColumns, specs = {}, stats = null, targetId = 'plotly-trend', sheetName = '', xColumn2 = '', isXDate = false, isX2Date = false) => {
+    const renderTrendChart = (data, xColumn, yColumns, specs = {}, stats = null, targetId = 'plotly-trend', sheetName = '', xColumn2 = '', isXDate = false, isX2Date = false, spc = {}) => {
         const container = document.getElementById(targetId);
         if (!container) return;
 
@@ -30,43 +65,106 @@ const ChartRenderer = (() => {
             return;
         }
 
-        // Create a local copy of data and filter out rows with no Y data
-        let chartData = data.filter(row => {
-            return yColumns.some(yCol => {
-                const val = ExcelParser.parseNumber(row[yCol]);
-                return !isNaN(val);
-            });
-        });
+        // Rows with Y data, sorted by date when the X column is a date
+        const chartData = ExcelParser.getPlotRows(data, yColumns, xColumn, isXDate);
 
         if (chartData.length === 0) {
             clearChart(targetId);
             return;
         }
 
-        // --- Date Handling & Sorting ---
-        if (isXDate) {
-            chartData.sort((a, b) => {
-                const da = ExcelParser.parseDate(a[xColumn]) || new Date(0);
-                const db = ExcelParser.parseDate(b[xColumn]) || new Date(0);
-                return da - db;
-            });
+        // --- Subgroup (X-bar) Mode ---
+        const isSubgroupChart = spc.chartType === 'xbar-r' || spc.chartType === 'xbar-s';
+        const subgroups = isSubgroupChart ? ExcelParser.buildSubgroups(chartData, spc) : [];
+        if (isSubgroupChart && subgroups.length === 0) {
+            clearChart(targetId);
+            return;
         }
+        const spreadLabel = spc.chartType === 'xbar-s' ? 'S' : 'R';
+        // EWMA / CUSUM replace the individual values with a statistic that has no spec scale
+        const isShiftChart = spc.chartType === 'ewma' || spc.chartType === 'cusum';
+        const isAttributeChart = ['p', 'np', 'c', 'u'].includes(spc.chartType);
+        const hidesSpecs = isShiftChart || isAttributeChart;
+        const showMR = !isSubgroupChart && !hidesSpecs && !!spc.showMR;
+        const hasCompanion = isSubgroupChart || showMR;
 
-        const isSingleView = !!container.closest('.single-view');
-        const formatX = (val, isDate) => {
-            if (isDate) {
-                const d = ExcelParser.parseDate(val);
-                if (d) {
-                    const y = d.getFullYear();
-                    const m = String(d.getMonth() + 1).padStart(2, '0');
-                    const day = String(d.getDate()).padStart(2, '0');
-                    return `${y}-${m}-${day}`;
-                }
+        // Each x position is a row (individuals) or the first row of a subgroup (X-bar)
+        const axisRows = isSubgroupChart ? subgroups.map(g => g.rows[0]) : chartData;
+        const axisLabels = isSubgroupChart && spc.column
+            ? subgroups.map(g => g.key)
+            : axisRows.map(row => formatX(row[xColumn], isXDate, xColumn));
+
+        // Row-by-row spec columns (specs.columns) whose limits change along the axis are drawn as steps
+        const varyingSpecs = !hidesSpecs && ExcelParser.hasVaryingSpecs(axisRows, specs);
+        const specVaries = (key) => varyingSpecs && !!specs.columns[key];
+        // The % deviation axis needs a single target
+        const showTargetAxis = !hidesSpecs && !isNaN(specs.target) && specs.target !== 0 && !specVaries('target');
+
+        // Run-rule violations (computed by the app) keyed by x position per series
+        const ruleLookup = (yCol) => new Map(((spc.violations || {})[yCol] || []).map(v => [v.x, v.rules]));
+        const ruleText = (rules) => rules ? `<br><b>判異規則: ${rules.join(', ')}</b>` : '';
+
+        // Per-series statistics and spec limits (the first series falls back to the shared ones)
+        const seriesOf = (yCol, idx) => (spc.series && spc.series[yCol]) || { specs, stats: idx === 0 ? stats : null };
+
+        const traces = [];
+        const subgroupStats = [];
+        const movingRanges = [];
+        const shiftStats = [];
+        const attributeStats = [];
+
+        yColumns.forEach((yCol, idx) => {
+            const baseColor = COLOR_PALETTE[idx % COLOR_PALETTE.length];
+            const seriesSpecs = seriesOf(yCol, idx).specs;
+
+            if (isSubgroupChart) {
+                const sg = ExcelParser.getSubgroupStats(subgroups, yCol, spc.chartType);
+                subgroupStats[idx] = sg;
+                if (!sg) return;
+
+                // Points beyond their own control limits are highlighted; other run-rule hits get a diamond
+                const meanOut = sg.groups.map((g, i) => g.mean > sg.xbar.ucl[i] || g.mean < sg.xbar.lcl[i]);
+                const spreadOut = sg.spread.values.map((v, i) => v !== null && sg.spread.ucl[i] !== null &&
+                    (v > sg.spread.ucl[i] || v < sg.spread.lcl[i]));
+                const hits = ruleLookup(yCol);
+                const meanRules = sg.groups.map(g => hits.get(g.index));
+                const customdata = sg.groups.map((g, i) => ({ key: axisLabels[g.index], n: g.n, rules: ruleText(meanRules[i]) }));
+
+                traces.push({
+                    x: sg.groups.map(g => g.index),
+                    y: sg.groups.map(g => g.mean),
+                    name: `${yCol} X̄`,
+                    mode: 'markers+lines',
+                    customdata: customdata,
+                    hovertemplate: `<b>子群組: %{customdata.key}</b> (n=%{customdata.n})<br>${yCol} X̄: %{y:.4f}%{customdata.rules}<extra></extra>`,
+                    type: 'scatter',
+                    line: { width: 1.5, color: baseColor, dash: 'dash' },
+                    marker: {
+                        size: meanOut.map((o, i) => o || meanRules[i] ? 9 : 6),
+                        symbol: meanRules.map(r => r ? 'diamond' : 'circle'),
+                        color: meanOut.map((o, i) => o ? OOS_COLOR : meanRules[i] ? RULE_COLOR : baseColor),
+                        line: { color: '#ffffff', width: meanOut.map((o, i) => o || meanRules[i] ? 1.5 : 0) }
+                    }
+                });
+
+                traces.push({
+                    x: sg.groups.map(g => g.index),
+                    y: sg.spread.values,
+                    name: `${yCol} ${spreadLabel}`,
+                    yaxis: 'y3',
+                    mode: 'markers+lines',
+                    customdata: customdata,
+                    hovertemplate: `<b>子群組: %{customdata.key}</b> (n=%{customdata.n})<br>${yCol} ${spreadLabel}: %{y:.4f}<extra></extra>`,
+                    type: 'scatter',
+                    line: { width: 1.5, color: baseColor },
+                    marker: {
+                        size: spreadOut.map(o => o ? 9 : 5),
+                        color: spreadOut.map(o => o ? OOS_COLOR : baseColor)
+                    }
+                });
+                return;
             }
-            return String(val ?? '');
-        };
 
-        const traces = yColumns.map((yCol, idx) => {
             const validPoints = chartData.map((row, i) => {
                 return {
                     i: i,
@@ -75,25 +173,93 @@ const ChartRenderer = (() => {
                 };
             }).filter(pt => !isNaN(pt.y));
 
-            const baseColor = COLOR_PALETTE[idx % COLOR_PALETTE.length];
+            if (isAttributeChart) {
+                const needsSize = spc.chartType !== 'c';
+                const points = chartData.map((row, i) => ({
+                    i, row,
+                    count: ExcelParser.parseNumber(row[yCol]),
+                    size: needsSize ? ExcelParser.parseNumber(row[spc.sizeColumn]) : 1
+                })).filter(pt => !isNaN(pt.count) && pt.size > 0);
+                const result = ExcelParser.getAttributeStats(points.map(pt => pt.count), points.map(pt => pt.size), spc.chartType);
+                if (!result) return;
+                const xs = points.map(pt => pt.i);
+                attributeStats[idx] = { result, xs };
+
+                traces.push({
+                    x: xs,
+                    y: result.values,
+                    name: `${yCol} ${spc.chartType}`,
+                    mode: 'markers+lines',
+                    customdata: points.map(pt => ({ x1: formatX(pt.row[xColumn], isXDate, xColumn), count: pt.count, size: needsSize ? pt.size : '-' })),
+                    hovertemplate: `<b>${xColumn}: %{customdata.x1}</b><br>${yCol} ${spc.chartType}: %{y:.4f}<br>數量: %{customdata.count} / n: %{customdata.size}<extra></extra>`,
+                    type: points.length > 500 ? 'scattergl' : 'scatter',
+                    line: { width: 1.5, color: baseColor },
+                    marker: {
+                        size: result.signals.map(f => f ? 9 : 5),
+                        color: result.signals.map(f => f ? OOS_COLOR : baseColor),
+                        line: { color: '#ffffff', width: result.signals.map(f => f ? 1.5 : 0) }
+                    }
+                });
+                return;
+            }
+
+            if (isShiftChart) {
+                const own = seriesOf(yCol, idx).stats || ExcelParser.getStats(validPoints.map(pt => pt.y));
+                const values = validPoints.map(pt => pt.y);
+                const params = { mean: own.mean, sigma: own.stdevWithin };
+                const result = spc.chartType === 'ewma'
+                    ? ExcelParser.getEwma(values, { ...params, lambda: spc.lambda, L: spc.L })
+                    : ExcelParser.getCusum(values, { ...params, k: spc.k, h: spc.h });
+                if (!result) return;
+                shiftStats[idx] = { result, xs: validPoints.map(pt => pt.i) };
+
+                const customdata = validPoints.map(pt => ({ x1: formatX(pt.row[xColumn], isXDate, xColumn), raw: pt.y }));
+                const signalMarker = (flags) => ({
+                    size: flags.map(f => f ? 9 : 5),
+                    color: flags.map(f => f ? OOS_COLOR : baseColor),
+                    line: { color: '#ffffff', width: flags.map(f => f ? 1.5 : 0) }
+                });
+                const addShiftTrace = (ys, name, flags, dash) => traces.push({
+                    x: validPoints.map(pt => pt.i),
+                    y: ys,
+                    name: name,
+                    mode: 'markers+lines',
+                    customdata: customdata,
+                    hovertemplate: `<b>${xColumn}: %{customdata.x1}</b><br>${name}: %{y:.4f}<br>${yCol}: %{customdata.raw:.4f}<extra></extra>`,
+                    type: validPoints.length > 500 ? 'scattergl' : 'scatter',
+                    line: { width: 1.5, color: baseColor, dash: dash },
+                    marker: signalMarker(flags)
+                });
 
+                if (spc.chartType === 'ewma') {
+                    addShiftTrace(result.z, `${yCol} EWMA`, result.signals, 'solid');
+                } else {
+                    // C⁻ is drawn below zero so both one-sided sums share the ±H decision lines
+                    addShiftTrace(result.cPlus, `${yCol} C⁺`, result.cPlus.map(v => v > result.H), 'solid');
+                    addShiftTrace(result.cMinus.map(v => -v), `${yCol} C⁻`, result.cMinus.map(v => v > result.H), 'dot');
+                }
+                return;
+            }
+
+            const hits = ruleLookup(yCol);
+
+            // Each point is judged against its own row's limits when spec columns are used row by row
             const markerColors = validPoints.map(pt => {
-                const isOOS = (!isNaN(specs.usl) && pt.y > specs.usl) ||
-                    (!isNaN(specs.lsl) && pt.y < specs.lsl);
-                return isOOS ? OOS_COLOR : baseColor;
+                const limits = seriesSpecs.columns ? ExcelParser.getRowSpecs(pt.row, seriesSpecs) : seriesSpecs;
+                const isOOS = (!isNaN(limits.usl) && pt.y > limits.usl) ||
+                    (!isNaN(limits.lsl) && pt.y < limits.lsl);
+                return isOOS ? OOS_COLOR : hits.has(pt.i) ? RULE_COLOR : baseColor;
             });
 
-            const markerSizes = validPoints.map(pt => {
-                const isOOS = (!isNaN(specs.usl) && pt.y > specs.usl) ||
-                    (!isNaN(specs.lsl) && pt.y < specs.lsl);
-                return isOOS ? 9 : 5;
+            const markerSizes = validPoints.map((pt, i) => {
+                return markerColors[i] !== baseColor ? 9 : 5;
             });
 
-            return {
+            traces.push({
                 x: validPoints.map(pt => pt.i),
                 text: validPoints.map(pt => {
-                    let txt = formatX(pt.row[xColumn], isXDate);
-                    if (xColumn2) txt += ` | ${formatX(pt.row[xColumn2], isX2Date)}`;
+                    let txt = formatX(pt.row[xColumn], isXDate, xColumn);
+                    if (xColumn2) txt += ` | ${formatX(pt.row[xColumn2], isX2Date, xColumn2)}`;
                     return txt;
                 }),
                 y: validPoints.map(pt => pt.y),
@@ -101,26 +267,58 @@ const ChartRenderer = (() => {
                 mode: 'markers+lines',
                 customdata: validPoints.map(pt => {
                     return {
-                        x1: formatX(pt.row[xColumn], isXDate),
-                        x2: xColumn2 ? formatX(pt.row[xColumn2], isX2Date) : null
+                        x1: formatX(pt.row[xColumn], isXDate, xColumn),
+                        x2: xColumn2 ? formatX(pt.row[xColumn2], isX2Date, xColumn2) : null,
+                        rules: ruleText(hits.get(pt.i))
                     };
                 }),
-                hovertemplate: `<b>${xColumn}: %{customdata.x1}</b>${xColumn2 ? `<br><b>${xColumn2}: %{customdata.x2}</b>` : ''}<br>${yCol}: %{y:.4f}<extra></extra>`,
+                hovertemplate: `<b>${xColumn}: %{customdata.x1}</b>${xColumn2 ? `<br><b>${xColumn2}: %{customdata.x2}</b>` : ''}<br>${yCol}: %{y:.4f}%{customdata.rules}<extra></extra>`,
                 type: validPoints.length > 500 ? 'scattergl' : 'scatter',
                 line: { width: 1.5, color: baseColor, dash: 'dash' },
                 marker: {
                     size: markerSizes,
+                    symbol: validPoints.map(pt => hits.has(pt.i) ? 'diamond' : 'circle'),
                     color: markerColors,
                     line: {
                         color: '#ffffff',
-                        width: validPoints.map((pt, i) => markerColors[i] === OOS_COLOR ? 1.5 : 0)
+                        width: validPoints.map((pt, i) => markerColors[i] !== baseColor ? 1.5 : 0)
                     }
                 }
-            };
+            });
+
+            // Moving range panel: MR_i = |X_i - X_(i-1)| between consecutive plotted points
+            if (showMR) {
+                const mr = ExcelParser.getMovingRanges(validPoints.map(pt => pt.y));
+                movingRanges[idx] = mr;
+                const mrPoints = validPoints.slice(1);
+                const mrValues = mr.ranges.slice(1);
+                const mrOut = mrValues.map(v => v > mr.ucl);
+
+                traces.push({
+                    x: mrPoints.map(pt => pt.i),
+                    y: mrValues,
+                    name: `${yCol} MR`,
+                    yaxis: 'y3',
+                    mode: 'markers+lines',
+                    customdata: mrPoints.map(pt => formatX(pt.row[xColumn], isXDate, xColumn)),
+                    hovertemplate: `<b>${xColumn}: %{customdata}</b><br>${yCol} MR: %{y:.4f}<extra></extra>`,
+                    type: mrPoints.length > 500 ? 'scattergl' : 'scatter',
+                    line: { width: 1, color: baseColor },
+                    marker: {
+                        size: mrOut.map(o => o ? 8 : 4),
+                        color: mrOut.map(o => o ? OOS_COLOR : baseColor)
+                    }
+                });
+            }
         });
 
+        if (traces.length === 0) {
+            clearChart(targetId);
+            return;
+        }
+
         // Add dummy trace for secondary Y axis
-        if (!isNaN(specs.target) && specs.target !== 0) {
+        if (showTargetAxis) {
             traces.push({
                 x: [0],
                 y: [null],
@@ -134,8 +332,8 @@ const ChartRenderer = (() => {
         // Add dummy trace for secondary X axis
         if (xColumn2) {
             traces.push({
-                x: chartData.map((_, i) => i),
-                y: chartData.map(() => null),
+                x: axisRows.map((_, i) => i),
+                y: axisRows.map(() => null),
                 xaxis: 'x2',
                 type: 'scatter',
                 showlegend: false,
@@ -146,14 +344,14 @@ const ChartRenderer = (() => {
         const shapes = [];
         const annotations = [];
 
-        const addLimitLine = (val, label, color, dash, width = 1.5) => {
-            if (isNaN(val)) return;
+        const addLimitLine = (val, label, color, dash, width = 1.5, yref = 'y') => {
+            if (val === null || isNaN(val)) return;
             shapes.push({
-                type: 'line', yref: 'y', xref: 'paper', x0: 0, x1: 1, y0: val, y1: val,
+                type: 'line', yref: yref, xref: 'paper', x0: 0, x1: 1, y0: val, y1: val,
                 line: { color: color, width: width, dash: dash }
             });
             annotations.push({
-                xref: 'paper', x: 1, y: val, yref: 'y',
+                xref: 'paper', x: 1, y: val, yref: yref,
                 text: `<b>${label}: ${val.toFixed(4)}</b>`,
                 showarrow: false,
                 xanchor: 'right',
@@ -166,24 +364,173 @@ const ChartRenderer = (() => {
             });
         };
 
-        if (specs.showTarget !== false) {
-            addLimitLine(specs.target, 'Target', '#10b981', '40px 10px 10px 10px', 2);
+        // Limits that vary per subgroup (unequal subgroup sizes) are drawn as stepped traces
+        const addLimitSteps = (xs, ys, label, color, dash, yaxis = 'y') => {
+            traces.push({
+                x: xs,
+                y: ys,
+                yaxis: yaxis,
+                name: label,
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: color, width: 1.5, dash: dash, shape: 'hvh' },
+                showlegend: false,
+                hovertemplate: `${label}: %{y:.4f}<extra></extra>`
+            });
+        };
+
+        // Western Electric zones: C (within 1σ), B (1σ–2σ), A (2σ–3σ) on both sides of CL
+        const addSigmaZones = (cl, ucl, lcl) => {
+            if ([cl, ucl, lcl].some(v => v === null || v === undefined || isNaN(v))) return;
+            const up = (ucl - cl) / 3;
+            const down = (cl - lcl) / 3;
+            [['C', 0, 1, 'rgba(16, 185, 129, 0.07)'], ['B', 1, 2, 'rgba(217, 119, 6, 0.07)'], ['A', 2, 3, 'rgba(220, 38, 38, 0.07)']]
+                .forEach(([zone, lo, hi, color]) => {
+                    [[cl + lo * up, cl + hi * up], [cl - lo * down, cl - hi * down]].forEach(([y0, y1]) => {
+                        shapes.push({
+                            type: 'rect', xref: 'paper', yref: 'y', x0: 0, x1: 1, y0: y0, y1: y1,
+                            fillcolor: color, line: { width: 0 }, layer: 'below'
+                        });
+                        annotations.push({
+                            xref: 'paper', x: 0, y: (y0 + y1) / 2, yref: 'y',
+                            text: zone, showarrow: false, xanchor: 'left',
+                            font: { family: FONT_FAMILY, color: '#64748b', size: 9 }
+                        });
+                    });
+                });
+        };
+
+        if (spc.showZones && !hidesSpecs) {
+            const sg = subgroupStats[0];
+            if (isSubgroupChart && sg && sg.isBalanced) {
+                addSigmaZones(sg.xbar.cl, sg.xbar.ucl[0], sg.xbar.lcl[0]);
+            } else if (!isSubgroupChart && stats) {
+                addSigmaZones(stats.mean, stats.ucl, stats.lcl);
+            }
         }
 
-        if (specs.showSpec !== false) {
-            addLimitLine(specs.usl, 'USL', '#dc2626', 'dash', 1.5);
-            addLimitLine(specs.lsl, 'LSL', '#dc2626', 'dash', 1.5);
+        // Spec lines shared by every series are drawn once; differing ones are labelled with their series
+        const addSpecLines = (key, label, color, dash, width) => {
+            const byValue = new Map();
+            yColumns.forEach((yCol, idx) => {
+                const val = seriesOf(yCol, idx).specs[key];
+                if (val === null || val === undefined || isNaN(val)) return;
+                if (!byValue.has(val)) byValue.set(val, []);
+                byValue.get(val).push(idx);
+            });
+            byValue.forEach((indices, val) => {
+                const shared = indices.length === yColumns.length;
+                const owner = shared ? '' : `${indices.map(i => yColumns[i]).join('/')} `;
+                const lineColor = shared ? color : COLOR_PALETTE[indices[0] % COLOR_PALETTE.length];
+                addLimitLine(val, `${owner}${label}`, lineColor, dash, width);
+            });
+        };
+
+        // Varying limits step at each plotted row's own value; the spec columns are shared by every series
+        const addSpecSteps = (key, label, color, dash) => {
+            const ys = axisRows.map(row => ExcelParser.getRowSpecs(row, specs)[key]);
+            addLimitSteps(axisRows.map((_, i) => i), ys.map(v => isNaN(v) ? null : v), label, color, dash);
+        };
+
+        const drawSpec = (key, label, color, dash, width) => {
+            if (specVaries(key)) addSpecSteps(key, label, color, dash);
+            else addSpecLines(key, label, color, dash, width);
+        };
+
+        if (specs.showTarget !== false && !hidesSpecs) {
+            drawSpec('target', 'Target', '#10b981', '40px 10px 10px 10px', 2);
         }
 
-        if (stats && specs.showLimits !== false) {
-            addLimitLine(stats.ucl, 'UCL', '#d97706', 'dot', 1.5);
-            addLimitLine(stats.lcl, 'LCL', '#d97706', 'dot', 1.5);
-            addLimitLine(stats.mean, 'CL', 'rgba(217, 119, 6, 0.8)', 'dash', 1);
+        if (specs.showSpec !== false && !hidesSpecs) {
+            drawSpec('usl', 'USL', '#dc2626', 'dash', 1.5);
+            drawSpec('lsl', 'LSL', '#dc2626', 'dash', 1.5);
         }
 
+        // Control limits per series; with several series each set takes its series colour and name
+        const multiSeries = yColumns.length > 1 && !!spc.series;
+        yColumns.forEach((yCol, idx) => {
+            if (specs.showLimits === false || (idx > 0 && !multiSeries)) return;
+            const prefix = multiSeries ? `${yCol} ` : '';
+            const limitColor = multiSeries ? COLOR_PALETTE[idx % COLOR_PALETTE.length] : '#d97706';
+            const clColor = multiSeries ? limitColor : 'rgba(217, 119, 6, 0.8)';
+
+            if (isAttributeChart) {
+                const attr = attributeStats[idx];
+                if (!attr) return;
+                const { result, xs } = attr;
+                const centerLabel = { p: 'p̄', np: 'np̄', c: 'c̄', u: 'ū' }[spc.chartType];
+                if (result.isConstant) {
+                    addLimitLine(result.ucl[0], `${prefix}UCL`, limitColor, 'dot', 1.5);
+                    if (result.lcl[0] > 0) addLimitLine(result.lcl[0], `${prefix}LCL`, limitColor, 'dot', 1.5);
+                    addLimitLine(result.cl[0], `${prefix}${centerLabel}`, clColor, 'dash', 1);
+                } else {
+                    addLimitSteps(xs, result.ucl, `${prefix}UCL`, limitColor, 'dot');
+                    addLimitSteps(xs, result.lcl, `${prefix}LCL`, limitColor, 'dot');
+                    if (spc.chartType === 'np') addLimitSteps(xs, result.cl, `${prefix}${centerLabel}`, clColor, 'dash');
+                    else addLimitLine(result.center, `${prefix}${centerLabel}`, clColor, 'dash', 1);
+                }
+                return;
+            }
+
+            if (isShiftChart) {
+                const shift = shiftStats[idx];
+                if (!shift) return;
+                const { result, xs } = shift;
+                if (spc.chartType === 'ewma') {
+                    addLimitSteps(xs, result.ucl, `${prefix}UCL`, limitColor, 'dot');
+                    addLimitSteps(xs, result.lcl, `${prefix}LCL`, limitColor, 'dot');
+                    addLimitLine(result.cl, `${prefix}CL`, clColor, 'dash', 1);
+                } else {
+                    addLimitLine(result.H, `${prefix}H`, limitColor, 'dot', 1.5);
+                    addLimitLine(-result.H, `${prefix}−H`, limitColor, 'dot', 1.5);
+                }
+                return;
+            }
+
+            if (isSubgroupChart) {
+                const sg = subgroupStats[idx];
+                if (!sg) return;
+                if (sg.isBalanced) {
+                    addLimitLine(sg.xbar.ucl[0], `${prefix}UCL`, limitColor, 'dot', 1.5);
+                    addLimitLine(sg.xbar.lcl[0], `${prefix}LCL`, limitColor, 'dot', 1.5);
+                    addLimitLine(sg.spread.ucl[0], `${prefix}UCL<sub>${spreadLabel}</sub>`, limitColor, 'dot', 1.5, 'y3');
+                    addLimitLine(sg.spread.lcl[0], `${prefix}LCL<sub>${spreadLabel}</sub>`, limitColor, 'dot', 1.5, 'y3');
+                    addLimitLine(sg.spread.cl[0], `${prefix}${spreadLabel}̄`, clColor, 'dash', 1, 'y3');
+                } else {
+                    const xs = sg.groups.map(g => g.index);
+                    addLimitSteps(xs, sg.xbar.ucl, `${prefix}UCL`, limitColor, 'dot');
+                    addLimitSteps(xs, sg.xbar.lcl, `${prefix}LCL`, limitColor, 'dot');
+                    addLimitSteps(xs, sg.spread.ucl, `${prefix}UCL ${spreadLabel}`, limitColor, 'dot', 'y3');
+                    addLimitSteps(xs, sg.spread.lcl, `${prefix}LCL ${spreadLabel}`, limitColor, 'dot', 'y3');
+                    addLimitSteps(xs, sg.spread.cl, `${prefix}CL ${spreadLabel}`, clColor, 'dash', 'y3');
+                }
+                addLimitLine(sg.xbar.cl, `${prefix}X̿`, clColor, 'dash', 1);
+                return;
+            }
+
+            const seriesStats = seriesOf(yCol, idx).stats;
+            if (seriesStats) {
+                addLimitLine(seriesStats.ucl, `${prefix}UCL`, limitColor, 'dot', 1.5);
+                addLimitLine(seriesStats.lcl, `${prefix}LCL`, limitColor, 'dot', 1.5);
+                addLimitLine(seriesStats.mean, `${prefix}CL`, clColor, 'dash', 1);
+            }
+
+            const mr = movingRanges[idx];
+            if (showMR && mr) {
+                addLimitLine(mr.ucl, `${prefix}UCL<sub>MR</sub>`, limitColor, 'dot', 1.5, 'y3');
+                addLimitLine(mr.mrBar, `${prefix}MR̄`, clColor, 'dash', 1, 'y3');
+            }
+        });
+
+        const chartTitle = isSubgroupChart ? `X̄-${spreadLabel} 管制圖`
+            : spc.chartType === 'ewma' ? `EWMA 管制圖 (λ=${spc.lambda}, L=${spc.L})`
+            : spc.chartType === 'cusum' ? `CUSUM 管制圖 (k=${spc.k}, h=${spc.h})`
+            : isAttributeChart ? `${spc.chartType} 管制圖`
+            : showMR ? 'I-MR 管制圖' : '數據趨勢圖';
+
         const layout = {
             title: {
-                text: `${sheetName ? sheetName + ' ' : ''}數據趨勢圖 (${yColumns.join(', ')})`,
+                text: `${sheetName ? sheetName + ' ' : ''}${chartTitle} (${yColumns.join(', ')})`,
                 font: { family: FONT_FAMILY, color: '#0f172a', size: 14 },
                 y: 0.98,
                 yanchor: 'top'
@@ -194,36 +541,30 @@ const ChartRenderer = (() => {
             annotations: annotations,
             xaxis: {
                 title: {
-                    text: xColumn,
+                    text: isSubgroupChart && spc.column ? spc.column : xColumn,
                     font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
                 },
                 type: 'category',
                 tickmode: 'array',
-                tickvals: chartData.map((_, i) => i),
-                ticktext: (() => {
-                    // 主 X 軸高對比色階：深石墨藍 (#0f172a) 與 高飽和深鈷藍 (#0284c7)
-                    const colors = ['#0f172a', '#0284c7'];
-                    let colorIdx = 0;
-                    return chartData.map((row, i) => {
-                        const val = formatX(row[xColumn], isXDate);
-                        if (i > 0) {
-                            const prevVal = formatX(chartData[i - 1][xColumn], isXDate);
-                            if (val !== prevVal) colorIdx = (colorIdx + 1) % colors.length;
-                        }
-                        const isAlt = colorIdx === 1;
-                        return `<span style="color: ${colors[colorIdx]}; font-weight: ${isAlt ? '700' : '600'};">${val}</span>`;
-                    });
-                })(),
+                tickvals: axisRows.map((_, i) => i),
+                // 主 X 軸高對比色階：深石墨藍 (#0f172a) 與 高飽和深鈷藍 (#0284c7)
+                ticktext: buildTickText(axisLabels, ['#0f172a', '#0284c7']),
                 gridcolor: '#f1f5f9',
                 zerolinecolor: '#cbd5e1',
                 tickfont: { family: FONT_FAMILY, size: 10 },
-                range: [-0.5, chartData.length - 0.5],
+                range: [-0.5, axisRows.length - 0.5],
                 automargin: true,
-                anchor: 'y'
+                anchor: hasCompanion ? 'y3' : 'y'
             },
             yaxis: {
                 title: {
-                    text: '數值',
+                    text: isSubgroupChart ? '子群組平均值 (X̄)'
+                        : spc.chartType === 'ewma' ? 'EWMA (z)'
+                        : spc.chartType === 'cusum' ? '累積和 (C⁺ / −C⁻)'
+                        : spc.chartType === 'p' ? '不良率 (p)'
+                        : spc.chartType === 'np' ? '不良數 (np)'
+                        : spc.chartType === 'c' ? '缺點數 (c)'
+                        : spc.chartType === 'u' ? '單位缺點數 (u)' : '數值',
                     font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
                 },
                 gridcolor: '#e2e8f0',
@@ -238,6 +579,25 @@ const ChartRenderer = (() => {
             margin: { t: xColumn2 ? 110 : 70, r: 80, l: 60, b: 110 }
         };
 
+        if (hasCompanion) {
+            // Companion panel beneath the main panel: R/S for X-bar charts, MR for individuals
+            const companionTitle = showMR ? '移動全距 (MR)' : spc.chartType === 'xbar-s' ? '標準差 (S)' : '全距 (R)';
+            layout.yaxis.domain = [0.38, 1];
+            layout.yaxis3 = {
+                title: {
+                    text: companionTitle,
+                    font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
+                },
+                domain: [0, 0.28],
+                anchor: 'x',
+                gridcolor: '#e2e8f0',
+                zerolinecolor: '#cbd5e1',
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 10 },
+                rangemode: 'tozero'
+            };
+            layout.height = 620;
+        }
+
         if (xColumn2) {
             layout.xaxis2 = {
                 title: {
@@ -246,21 +606,9 @@ const ChartRenderer = (() => {
                 },
                 type: 'category',
                 tickmode: 'array',
-                tickvals: chartData.map((_, i) => i),
-                ticktext: (() => {
-                    // 頂部副 X 軸高對比色階：深翡翠綠 (#047857) 與 濃郁靛青藍 (#4338ca)
-                    const colors = ['#047857', '#4338ca'];
-                    let colorIdx = 0;
-                    return chartData.map((row, i) => {
-                        const val = formatX(row[xColumn2], isX2Date);
-                        if (i > 0) {
-                            const prevVal = formatX(chartData[i - 1][xColumn2], isX2Date);
-                            if (val !== prevVal) colorIdx = (colorIdx + 1) % colors.length;
-                        }
-                        const isAlt = colorIdx === 1;
-                        return `<span style="color: ${colors[colorIdx]}; font-weight: ${isAlt ? '700' : '600'};">${val}</span>`;
-                    });
-                })(),
+                tickvals: axisRows.map((_, i) => i),
+                // 頂部副 X 軸高對比色階：深翡翠綠 (#047857) 與 濃郁靛青藍 (#4338ca)
+                ticktext: buildTickText(axisRows.map(row => formatX(row[xColumn2], isX2Date, xColumn2)), ['#047857', '#4338ca']),
                 overlaying: 'x',
                 side: 'top',
                 gridcolor: 'transparent',
@@ -269,7 +617,7 @@ const ChartRenderer = (() => {
             };
         }
 
-        if (!isNaN(specs.target) && specs.target !== 0) {
+        if (showTargetAxis) {
             layout.yaxis2 = {
                 title: {
                     text: '偏離目標 (%)',
@@ -285,7 +633,7 @@ const ChartRenderer = (() => {
 
         // Plotly instance
         Plotly.newPlot(container, traces, layout, { responsive: true, displaylogo: false }).then(gd => {
-            if (!isNaN(specs.target) && specs.target !== 0) {
+            if (showTargetAxis) {
                 const syncFromRange = (r0, r1) => {
                     Plotly.relayout(gd, {
                         'yaxis2.range': [((r0 - specs.target) / specs.target) * 100, ((r1 - specs.target) / specs.target) * 100],
@@ -347,14 +695,179 @@ const ChartRenderer = (() => {
         }
     };
 
+    /**
+     * Compact normality summary for legends, flagging non-normal data at alpha = 0.05
+     */
+    const formatNormality = (normality) => {
+        if (!normality || !normality.ad) return 'AD: N/A';
+        const parts = [`AD p=${normality.ad.pValue.toFixed(3)}`];
+        if (normality.sw) parts.push(`SW p=${normality.sw.pValue.toFixed(3)}`);
+        return `${parts.join(', ')}${normality.isNormal ? '' : ' ⚠非常態'}`;
+    };
+
+    /**
+     * Normal probability (Q-Q) plot: ordered data against Blom normal scores,
+     * with the fitted line X̄ + zσ and an approximate 95% confidence band for the fitted percentiles
+     */
+    const renderProbabilityPlot = (container, columnStats, specs, sheetName) => {
+        const traces = [];
+        const shapes = [];
+        const annotations = [];
+        const zCrit = Statistics.normInv(0.975);
+
+        columnStats.forEach(({ col, values, stats, normality, baseColor }) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const n = sorted.length;
+            const scores = Statistics.normalScores(n);
+            const { mean, stdevOverall: sigma } = stats;
+
+            traces.push({
+                x: scores,
+                y: sorted,
+                type: n > 500 ? 'scattergl' : 'scatter',
+                mode: 'markers',
+                name: `${col} (${formatNormality(normality)})`,
+                customdata: scores.map(z => Statistics.normCdf(z) * 100),
+                hovertemplate: `${col}: %{y:.4f}<br>z: %{x:.3f} (累積 %{customdata:.2f}%)<extra></extra>`,
+                marker: { color: baseColor, size: 5 }
+            });
+
+            // Fitted line and band evaluated on an even z grid across the plotted range
+            const zMin = scores[0] - 0.25;
+            const zMax = scores[n - 1] + 0.25;
+            const grid = [];
+            for (let i = 0; i <= 60; i++) grid.push(zMin + (zMax - zMin) * i / 60);
+            const halfWidth = (z) => zCrit * sigma * Math.sqrt((1 + z * z / 2) / n);
+
+            traces.push({
+                x: grid,
+                y: grid.map(z => mean + z * sigma),
+                type: 'scatter',
+                mode: 'lines',
+                name: `${col} 擬合線`,
+                line: { color: baseColor, width: 1.5 },
+                hoverinfo: 'skip'
+            });
+            traces.push({
+                x: grid,
+                y: grid.map(z => mean + z * sigma + halfWidth(z)),
+                type: 'scatter',
+                mode: 'lines',
+                name: `${col} 95% 信賴帶`,
+                legendgroup: `${col}-band`,
+                line: { color: baseColor, width: 1, dash: 'dot' },
+                hoverinfo: 'skip'
+            });
+            traces.push({
+                x: grid,
+                y: grid.map(z => mean + z * sigma - halfWidth(z)),
+                type: 'scatter',
+                mode: 'lines',
+                name: `${col} 95% 信賴帶`,
+                legendgroup: `${col}-band`,
+                showlegend: false,
+                fill: 'tonexty',
+                fillcolor: 'rgba(100, 116, 139, 0.08)',
+                line: { color: baseColor, width: 1, dash: 'dot' },
+                hoverinfo: 'skip'
+            });
+        });
+
+        const addLimit = (val, label, color, dash, width = 1.5) => {
+            if (isNaN(val)) return;
+            shapes.push({ type: 'line', xref: 'paper', yref: 'y', x0: 0, x1: 1, y0: val, y1: val, line: { color: color, width: width, dash: dash } });
+            annotations.push({
+                xref: 'paper', x: 1, y: val, yref: 'y',
+                text: `<b>${label}: ${val.toFixed(4)}</b>`,
+                showarrow: false,
+                xanchor: 'right',
+                yanchor: 'bottom',
+                font: { family: FONT_FAMILY, color: color, size: 10 },
+                bgcolor: 'rgba(255, 255, 255, 0.9)',
+                bordercolor: '#cbd5e1',
+                borderwidth: 1,
+                borderpad: 2
+            });
+        };
+
+        if (specs.showTarget !== false) {
+            addLimit(specs.target, 'Target', '#10b981', '40px 10px 10px 10px', 2);
+        }
+        if (specs.showSpec !== false) {
+            addLimit(specs.usl, 'USL', '#dc2626', 'dash');
+            addLimit(specs.lsl, 'LSL', '#dc2626', 'dash');
+        }
+
+        // Cumulative percent ticks on a second x axis, aligned with the z scale
+        const percentTicks = [0.1, 1, 5, 10, 25, 50, 75, 90, 95, 99, 99.9];
+
+        const layout = {
+            title: {
+                text: `${sheetName ? sheetName + ' ' : ''}常態機率圖 (Q-Q Plot)`,
+                font: { family: FONT_FAMILY, color: '#0f172a', size: 14 }
+            },
+            paper_bgcolor: '#ffffff',
+            plot_bgcolor: '#ffffff',
+            shapes: shapes,
+            annotations: annotations,
+            xaxis: {
+                title: {
+                    text: '理論常態分位數 (z)',
+                    font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
+                },
+                gridcolor: '#f1f5f9',
+                zerolinecolor: '#cbd5e1',
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 10 }
+            },
+            xaxis2: {
+                title: {
+                    text: '累積機率 (%)',
+                    font: { family: FONT_FAMILY, color: '#475569', size: 10 }
+                },
+                overlaying: 'x',
+                matches: 'x',
+                side: 'top',
+                tickmode: 'array',
+                tickvals: percentTicks.map(p => Statistics.normInv(p / 100)),
+                ticktext: percentTicks.map(p => String(p)),
+                showgrid: false,
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 9 }
+            },
+            yaxis: {
+                title: {
+                    text: '數值',
+                    font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
+                },
+                gridcolor: '#e2e8f0',
+                zerolinecolor: '#cbd5e1',
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 10 }
+            },
+            legend: {
+                font: { family: FONT_FAMILY, color: '#0f172a', size: 11 },
+                orientation: 'h', y: -0.25
+            },
+            margin: { t: 90, r: 40, l: 70, b: 110 },
+            height: container.closest('.single-view') ? 800 : 450,
+            hovermode: 'closest'
+        };
+
+        // Dummy trace so the percent axis is drawn
+        traces.push({ x: [0], y: [null], xaxis: 'x2', type: 'scatter', showlegend: false, hoverinfo: 'none' });
+
+        Plotly.newPlot(container, traces, layout, { responsive: true, displaylogo: false })
+            .catch(err => console.error('Plotly ProbabilityPlot Error:', err));
+    };
+
     /**
      * Render Normal Distribution Analysis
      * @param {Array} data - Filtered JSON data
      * @param {Array} columns - Array of Y-axis column names
      * @param {Object} specs - Target/USL/LSL limits
      * @param {string} targetId - Container ID to render in
+     * @param {Object} options - { mode: 'histogram' | 'probability', seriesSpecs: { [column]: specs } for per-column Ppk,
+     *                           groupColumn: categorical column whose groups are overlaid as separate distributions }
      */
-    const renderNormalDistChart = (data, columns, specs = {}, stats = null, targetId = 'plotly-dist', sheetName = '') => {
+    const renderNormalDistChart = (data, columns, specs = {}, stats = null, targetId = 'plotly-dist', sheetName = '', options = {}) => {
         const container = document.getElementById(targetId);
         if (!container) return;
 
@@ -373,11 +886,27 @@ const ChartRenderer = (() => {
         let globalMin = Infinity;
         let globalMax = -Infinity;
 
-        const columnStats = columns.map((col, idx) => {
-            const values = data.map(row => ExcelParser.parseNumber(row[col])).filter(v => !isNaN(v));
+        // One distribution per column, or per column and group when stratified
+        const groups = options.groupColumn ? ExcelParser.groupBy(data, options.groupColumn) : null;
+        const entries = [];
+        columns.forEach(col => {
+            if (!groups) {
+                entries.push({ col, label: col, rows: data });
+                return;
+            }
+            groups.forEach(g => entries.push({
+                col,
+                label: columns.length > 1 ? `${col} · ${g.key}` : `${options.groupColumn}=${g.key}`,
+                rows: g.rows
+            }));
+        });
+
+        const columnStats = entries.map(({ col, label, rows }, idx) => {
+            const values = rows.map(row => ExcelParser.parseNumber(row[col])).filter(v => !isNaN(v));
             if (values.length === 0) return null;
 
-            const stats = ExcelParser.getStats(values, specs);
+            const stats = ExcelParser.getStats(values, (options.seriesSpecs || {})[col] || specs);
+            const normality = Statistics.testNormality(values);
             const baseColor = COLOR_PALETTE[idx % COLOR_PALETTE.length];
 
             const colMin = Math.min(...values, stats.mean - 4 * stats.stdevOverall);
@@ -385,7 +914,7 @@ const ChartRenderer = (() => {
             globalMin = Math.min(globalMin, colMin);
             globalMax = Math.max(globalMax, colMax);
 
-            return { col, values, stats, baseColor };
+            return { col: label, values, stats, normality, baseColor };
         }).filter(s => s !== null);
 
         if (columnStats.length === 0) {
@@ -393,6 +922,11 @@ const ChartRenderer = (() => {
             return;
         }
 
+        if (options.mode === 'probability') {
+            renderProbabilityPlot(container, columnStats, specs, sheetName);
+            return;
+        }
+
         // Extend x-axis range to include spec limits & control limits
         if (!isNaN(specs.usl)) globalMax = Math.max(globalMax, specs.usl);
         if (!isNaN(specs.lsl)) globalMin = Math.min(globalMin, specs.lsl);
@@ -406,7 +940,7 @@ const ChartRenderer = (() => {
         globalMin -= padding;
         globalMax += padding;
 
-        columnStats.forEach(({ col, values, stats, baseColor }) => {
+        columnStats.forEach(({ col, values, stats, normality, baseColor }) => {
             const { mean, stdevOverall } = stats;
             const sigma = stdevOverall;
 
@@ -439,7 +973,7 @@ const ChartRenderer = (() => {
                 y: curveY,
                 type: 'scatter',
                 mode: 'lines',
-                name: `${col} 曲線 (Ppk:${(stats.ppk || 0).toFixed(3)})`,
+                name: `${col} 曲線 (Ppk:${(stats.ppk || 0).toFixed(3)}, ${formatNormality(normality)})`,
                 line: { color: baseColor, width: 1.5 }
             });
 
@@ -553,5 +1087,137 @@ const ChartRenderer = (() => {
             .catch(err => console.error('Plotly DistChart Error:', err));
     };
 
-    return { renderTrendChart, renderNormalDistChart, clearChart, exportChart };
+    /**
+     * Render Stratified Comparison: one box (or violin) per category of groupColumn for each Y column
+     * @param {Array} data - Filtered JSON data
+     * @param {Array} columns - Array of Y-axis column names
+     * @param {string} groupColumn - Categorical column to stratify by
+     * @param {Object} specs - Target/USL/LSL limits
+     * @param {string} targetId - Container ID to render in
+     * @param {Object} options - { mode: 'box' | 'violin' }
+     */
+    const renderGroupChart = (data, columns, groupColumn, specs = {}, targetId = 'plotly-group', sheetName = '', options = {}) => {
+        const container = document.getElementById(targetId);
+        if (!container) return;
+
+        try { Plotly.purge(container); } catch (e) { }
+        container.innerHTML = '';
+
+        const groups = ExcelParser.groupBy(data, groupColumn);
+        if (groups.length === 0 || !columns || columns.length === 0) {
+            clearChart(targetId);
+            return;
+        }
+
+        const isViolin = options.mode === 'violin';
+        const traces = columns.map((col, idx) => {
+            const baseColor = COLOR_PALETTE[idx % COLOR_PALETTE.length];
+            const xs = [];
+            const ys = [];
+            groups.forEach(g => g.rows.forEach(row => {
+                const v = ExcelParser.parseNumber(row[col]);
+                if (!isNaN(v)) {
+                    xs.push(g.key);
+                    ys.push(v);
+                }
+            }));
+
+            const trace = {
+                type: isViolin ? 'violin' : 'box',
+                x: xs,
+                y: ys,
+                name: col,
+                marker: { color: baseColor, size: 3 },
+                line: { color: baseColor, width: 1.5 },
+                fillcolor: `${baseColor}33`
+            };
+            if (isViolin) {
+                Object.assign(trace, { box: { visible: true }, meanline: { visible: true }, points: 'outliers', spanmode: 'hard' });
+            } else {
+                Object.assign(trace, { boxmean: 'sd', boxpoints: 'outliers' });
+            }
+            return trace;
+        }).filter(t => t.y.length > 0);
+
+        if (traces.length === 0) {
+            clearChart(targetId);
+            return;
+        }
+
+        const shapes = [];
+        const annotations = [];
+        const addLimitLine = (val, label, color, dash, width = 1.5) => {
+            if (val === null || isNaN(val)) return;
+            shapes.push({
+                type: 'line', xref: 'paper', yref: 'y', x0: 0, x1: 1, y0: val, y1: val,
+                line: { color: color, width: width, dash: dash }
+            });
+            annotations.push({
+                xref: 'paper', x: 1, y: val, yref: 'y',
+                text: `<b>${label}: ${val.toFixed(4)}</b>`,
+                showarrow: false,
+                xanchor: 'right',
+                yanchor: 'bottom',
+                font: { family: FONT_FAMILY, color: color, size: 10 },
+                bgcolor: 'rgba(255, 255, 255, 0.9)',
+                bordercolor: '#cbd5e1',
+                borderwidth: 1,
+                borderpad: 2
+            });
+        };
+
+        if (specs.showTarget !== false) {
+            addLimitLine(specs.target, 'Target', '#10b981', '40px 10px 10px 10px', 2);
+        }
+        if (specs.showSpec !== false) {
+            addLimitLine(specs.usl, 'USL', '#dc2626', 'dash');
+            addLimitLine(specs.lsl, 'LSL', '#dc2626', 'dash');
+        }
+
+        const layout = {
+            title: {
+                text: `${sheetName ? sheetName + ' ' : ''}分層比較 (依 ${groupColumn})`,
+                font: { family: FONT_FAMILY, color: '#0f172a', size: 14 }
+            },
+            paper_bgcolor: '#ffffff',
+            plot_bgcolor: '#ffffff',
+            shapes: shapes,
+            annotations: annotations,
+            xaxis: {
+                title: {
+                    text: groupColumn,
+                    font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
+                },
+                type: 'category',
+                categoryorder: 'array',
+                categoryarray: groups.map(g => g.key),
+                gridcolor: '#f1f5f9',
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 10 },
+                automargin: true
+            },
+            yaxis: {
+                title: {
+                    text: '數值',
+                    font: { family: FONT_FAMILY, color: '#0f172a', size: 11 }
+                },
+                gridcolor: '#e2e8f0',
+                zerolinecolor: '#cbd5e1',
+                tickfont: { family: FONT_FAMILY, color: '#475569', size: 10 }
+            },
+            legend: {
+                font: { family: FONT_FAMILY, color: '#0f172a', size: 11 },
+                orientation: 'h', y: -0.25
+            },
+            margin: { t: 60, r: 80, l: 60, b: 110 },
+            height: 450,
+            hovermode: 'closest'
+        };
+        if (isViolin) layout.violinmode = 'group';
+        else layout.boxmode = 'group';
+
+        Plotly.newPlot(container, traces, layout, { responsive: true, displaylogo: false })
+            .catch(err => console.error('Plotly GroupChart Error:', err));
+    };
+
+    return { COLOR_PALETTE, renderTrendChart, renderNormalDistChart, renderGroupChart, clearChart, exportChart, formatX };
 })();
@@ -0,0 +1,125 @@
+/**
+ * Data Client Module
+ * Promise API over DataTasks: runs them in a Web Worker when possible, otherwise on the main thread
+ */
+const DataClient = (() => {
+    const WORKER_URL = 'js/dataWorker.js';
+
+    let worker = null;
+    let ready = null; // Resolves true once the worker has loaded its scripts, false if it cannot start
+    let nextId = 1;
+    const pending = new Map(); // id -> { resolve, reject, onProgress }
+    let onLost = null; // Called when a running worker dies and its loaded files are gone
+
+    const cancelledError = () => Object.assign(new Error('已取消'), { cancelled: true });
+
+    const rejectPending = (error) => {
+        pending.forEach(entry => entry.reject(error));
+        pending.clear();
+    };
+
+    const startWorker = () => {
+        if (typeof Worker === 'undefined') {
+            ready = Promise.resolve(false);
+            return;
+        }
+        let started = false;
+        ready = new Promise(resolve => {
+            try {
+                worker = new Worker(WORKER_URL);
+            } catch (e) {
+                // file:// pages cannot construct workers in most browsers
+                worker = null;
+                resolve(false);
+                return;
+            }
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.type === 'ready') {
+                    started = true;
+                    resolve(true);
+                    return;
+                }
+                const entry = pending.get(msg.id);
+                if (!entry) return;
+                if (msg.type === 'progress') {
+                    if (entry.onProgress) entry.onProgress(msg.label, msg.fraction);
+                } else {
+                    pending.delete(msg.id);
+                    if (msg.type === 'result') entry.resolve(msg.result);
+                    else entry.reject(new Error(msg.message));
+                }
+            };
+            // A load failure (blocked script, offline CDN) before "ready" means fall back to the main thread.
+            // Later (e.g. out of memory while parsing) the worker's workbooks and rows are lost: pending tasks
+            // reject as cancelled and a fresh worker is started, never the main-thread fallback mid-session
+            worker.onerror = (e) => {
+                e.preventDefault();
+                if (worker) worker.terminate();
+                worker = null;
+                if (!started) {
+                    resolve(false);
+                    return;
+                }
+                rejectPending(cancelledError());
+                startWorker();
+                if (onLost) onLost();
+            };
+        });
+    };
+
+    /**
+     * Run a DataTasks task; options.onProgress(label, fraction) receives progress updates
+     */
+    const run = async (type, payload, options = {}) => {
+        if (!ready) startWorker();
+        const useWorker = await ready;
+        if (!useWorker || !worker) return DataTasks.run(type, payload, options.onProgress);
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject, onProgress: options.onProgress });
+            worker.postMessage({ id, type, payload });
+        });
+    };
+
+    /**
+     * Whether tasks currently run off the main thread (and can therefore be cancelled)
+     */
+    const isAsync = () => !!worker;
+
+    /**
+     * Abort running tasks: the worker is terminated (dropping its workbook and rows) and restarted
+     * Pending promises reject with an error whose `cancelled` flag is set
+     */
+    const cancel = () => {
+        if (!worker) return;
+        worker.terminate();
+        worker = null;
+        rejectPending(cancelledError());
+        startWorker();
+    };
+
+    /**
+     * Register the handler for a worker that dies while running (its parsed files must be loaded again)
+     */
+    const setOnLost = (handler) => {
+        onLost = handler;
+    };
+
+    const parseFile = (data, fileName, options) => run('parse', { data, fileName }, options);
+    const removeFile = (fileId) => run('removeFile', { fileId });
+    const loadSheets = (payload, options) => run('loadSheets', payload, options);
+    const prepare = (payload, options) => run('prepare', payload, options);
+    const uniqueValues = (columns) => run('uniqueValues', { columns });
+    const filter = (filters, logic = 'and', exclude = []) => run('filter', { filters, logic, exclude });
+    const page = (start, count) => run('page', { start, count });
+    const firstNumber = (column) => run('firstNumber', { column });
+    const analyze = (payload) => run('analyze', payload);
+    const quality = (columns, method, options) => run('quality', { columns, method }, options);
+
+    return {
+        parseFile, removeFile, loadSheets, prepare, uniqueValues, filter, page, firstNumber, analyze, quality,
+        cancel, isAsync, setOnLost
+    };
+})();
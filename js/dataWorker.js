@@ -0,0 +1,301 @@
+/**
+ * Data Worker Module
+ * Parsing, sheet loading, reshaping, profiling, filtering, data quality and chart statistics tasks. Runs inside a
+ * Web Worker (see DataClient) and doubles as the main-thread fallback when workers are unavailable (file://)
+ * The rows stay here: the app receives profiles, counts, pages of rows and the plotted columns only
+ */
+const DataTasks = (() => {
+    const files = new Map(); // fileId -> { name, workbook }
+    let nextFileId = 1;
+    let sourceRows = []; // Rows read from the selected sheets
+    let rows = []; // Rows after reshaping; filter indices refer to this array
+    let viewIndices = []; // Filtered rows less the app's exclusions, in row order; page / analyze / firstNumber read these
+
+    // Unique value lists are only shipped for columns small enough to become filter dropdowns
+    const MAX_FILTER_VALUES = 500;
+
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    const parse = async ({ data, fileName }, progress) => {
+        progress(`解析 ${fileName}`, 0);
+        const sheetNames = await ExcelParser.parseFile(data, fileName);
+        const fileId = nextFileId++;
+        files.set(fileId, { name: fileName, workbook: ExcelParser.getWorkbook() });
+
+        const definedNames = {};
+        sheetNames.forEach(name => { definedNames[name] = ExcelParser.getDefinedNames(name); });
+        progress(`解析 ${fileName}`, 1);
+        return { fileId, sheetNames, importInfo: ExcelParser.getImportInfo(), definedNames };
+    };
+
+    const removeFile = ({ fileId }) => files.delete(fileId);
+
+    /**
+     * Read and append the selected (file, sheet) pairs
+     * When more than one source is merged, each source's mapping renames its columns ({ from: to }) so differently
+     * named columns line up; a rename into a column the source already has is refused and reported in
+     * mappingConflicts. With tagSource every row also gets __file / __sheet columns. The rows stay in the worker;
+     * only the first previewRows go back for the reshape preview
+     * @returns {Object} { rowCount, preview, columns, specs, sources: [{ file, sheet, columns, originalColumns }],
+     *   mappingConflicts: [{ file, sheet, from, to }] }
+     */
+    const loadSheets = ({ sources, options, tagSource, previewRows = 0 }, progress) => {
+        const specs = {};
+        const sourceInfo = [];
+        const mappingConflicts = [];
+        sourceRows = [];
+
+        sources.forEach(({ fileId, sheet, mapping }, i) => {
+            const file = files.get(fileId);
+            if (!file) return;
+            progress(`讀取 ${file.name} › ${sheet}`, i / sources.length);
+            ExcelParser.setWorkbook(file.workbook);
+            const result = ExcelParser.readSheet(sheet, (options && options[sheet]) || {});
+
+            const renames = {};
+            if (mapping && sources.length > 1) {
+                const taken = new Set(result.columns);
+                result.columns.forEach(col => {
+                    if (!hasOwn(mapping, col)) return;
+                    const target = mapping[col];
+                    if (typeof target !== 'string' || target === col) return;
+                    if (taken.has(target)) {
+                        mappingConflicts.push({ file: file.name, sheet, from: col, to: target });
+                        return;
+                    }
+                    taken.add(target);
+                    renames[col] = target;
+                });
+            }
+            const rename = (col) => (hasOwn(renames, col) ? renames[col] : col);
+
+            const rows = result.rows.map(row => {
+                const out = {};
+                Object.keys(row).forEach(key => {
+                    out[rename(key)] = row[key];
+                });
+                if (tagSource) {
+                    out.__file = file.name;
+                    out.__sheet = sheet;
+                }
+                return out;
+            });
+            Object.entries(result.specs).forEach(([col, spec]) => { specs[rename(col)] = spec; });
+            sourceInfo.push({ file: file.name, sheet, columns: result.columns.map(rename), originalColumns: result.columns });
+            sourceRows = sourceRows.concat(rows);
+        });
+
+        rows = sourceRows;
+        progress('讀取工作表', 1);
+        return {
+            rowCount: sourceRows.length,
+            preview: sourceRows.slice(0, previewRows),
+            columns: ExcelParser.getColumns(sourceRows),
+            specs,
+            sources: sourceInfo,
+            mappingConflicts
+        };
+    };
+
+    /**
+     * Reshape the loaded rows (config already validated by the app), add computed columns and profile every column
+     * numberFormat / dateFormats mirror the app's ExcelParser settings; profiling and later filters use them
+     * computed formulas that fail to compile are skipped and reported in computedErrors ({ name: message })
+     * @returns {Object} { rowCount, columns, profiles, uniques, reshapeFailed, computedErrors }
+     */
+    const prepare = ({ reshape, numberFormat, dateFormats, computed }, progress) => {
+        ExcelParser.setNumberFormat(numberFormat);
+        ExcelParser.setDateFormats(dateFormats);
+        progress('重塑數據', 0);
+        rows = reshape ? ExcelParser.reshape(sourceRows, reshape) : sourceRows;
+        const reshapeFailed = !!reshape && rows.length === 0;
+        if (reshapeFailed) rows = sourceRows;
+
+        progress('計算欄位', 0);
+        const applied = Formula.applyComputed(rows, computed);
+        rows = applied.rows;
+
+        const columns = ExcelParser.getColumns(rows);
+        const profiles = {};
+        const uniques = {};
+        columns.forEach((col, i) => {
+            progress('分析欄位', i / columns.length);
+            profiles[col] = ExcelParser.profileColumn(rows, col);
+            if (profiles[col].unique <= MAX_FILTER_VALUES) uniques[col] = ExcelParser.getUniqueValues(rows, col);
+        });
+        progress('分析欄位', 1);
+        viewIndices = rows.map((row, i) => i);
+        return { rowCount: rows.length, columns, profiles, uniques, reshapeFailed, computedErrors: applied.errors };
+    };
+
+    // Unique values of columns too wide for prepare to ship (e.g. a role set to category by the user)
+    const uniqueValues = ({ columns }) => {
+        const values = {};
+        columns.forEach(col => { values[col] = ExcelParser.getUniqueValues(rows, col); });
+        return values;
+    };
+
+    /**
+     * Filter the rows and drop the app's excluded row indices; the result becomes the view later tasks read
+     * @returns {number} Rows in the view
+     */
+    const filter = ({ filters, logic, exclude = [] }) => {
+        const excluded = new Set(exclude);
+        viewIndices = ExcelParser.filterIndices(rows, filters, logic).filter(i => !excluded.has(i));
+        return viewIndices.length;
+    };
+
+    // Rows [start, start + count) of the view (data table pages, export); count defaults to the rest
+    const page = ({ start = 0, count = viewIndices.length }) => viewIndices.slice(start, start + count).map(i => rows[i]);
+
+    // First number in a column of the view (a spec input follows its spec column), null when there is none
+    const firstNumber = ({ column }) => {
+        for (const i of viewIndices) {
+            const v = ExcelParser.parseNumber(rows[i][column]);
+            if (!isNaN(v)) return v;
+        }
+        return null;
+    };
+
+    // Subgroup statistics keep their rows for the caller's use only; the copy sent back leaves them out
+    const withoutSubgroupRows = (stats) => stats.subgroup
+        ? { ...stats, subgroup: { ...stats.subgroup, groups: stats.subgroup.groups.map(({ rows: groupRows, ...g }) => g) } }
+        : stats;
+
+    /**
+     * Statistics for one Y column over rows in plot order; subgroups ({ column, size, chartType }) make X-bar charts
+     * estimate sigma within from the same subgroups the chart plots
+     * Row-by-row limits that vary are judged on the deviation normalised to each row's tolerance (normalized);
+     * limits holds the Target/USL/LSL the statistics were judged by. Control limits, zones, run rules and
+     * EWMA / CUSUM work on the raw values, so control always holds the statistics of the raw values
+     */
+    const computeStats = (statRows, yCol, specs, subgroups) => {
+        const statsOf = (sourceRows, statSpecs) => {
+            const values = sourceRows.map(row => ExcelParser.parseNumber(row[yCol])).filter(v => !isNaN(v));
+            if (!subgroups) return ExcelParser.getStats(values, statSpecs);
+            const sg = ExcelParser.getSubgroupStats(ExcelParser.buildSubgroups(sourceRows, subgroups), yCol, subgroups.chartType);
+            return withoutSubgroupRows(ExcelParser.getStats(values, statSpecs, { subgroups: sg }));
+        };
+
+        if (!ExcelParser.hasVaryingSpecs(statRows, specs)) {
+            const limits = specs.columns && statRows.length > 0 ? { ...specs, ...ExcelParser.getRowSpecs(statRows[0], specs) } : specs;
+            const stats = statsOf(statRows, limits);
+            return { ...stats, normalized: false, limits, control: stats };
+        }
+        const normalized = ExcelParser.normalizeToSpecs(statRows, yCol, specs);
+        return { ...statsOf(normalized.rows, normalized.specs), normalized: true, limits: normalized.specs, control: statsOf(statRows, {}) };
+    };
+
+    /**
+     * Plotted rows and per-series statistics of the view, shared by the app's charts, run rules, KPI cards and
+     * capability table. The plotted rows are the view rows with a number in any Y column, in chart order (by date
+     * when isXDate), cut down to the columns the charts read
+     * @param {Object} payload - { yCols, xColumn, isXDate, specs: { yCol: specs }, subgroups, groupColumn,
+     *   capabilityMethod, columns }
+     * @returns {Object} { yCols, rows, series: { yCol: { specs, stats (raw values, as drawn), capability, groups } },
+     *   counts: { yCol: rows with a number }, nonNormal (first series, with capabilityMethod), groupColumn, capabilityMethod }
+     */
+    const analyze = ({ yCols, xColumn, isXDate, specs, subgroups, groupColumn, capabilityMethod, columns }, progress) => {
+        const viewRows = viewIndices.map(i => rows[i]);
+        const plotRows = ExcelParser.getPlotRows(viewRows, yCols, xColumn, isXDate);
+        const groups = groupColumn ? ExcelParser.groupBy(plotRows, groupColumn) : [];
+        const series = {};
+        const counts = {};
+        yCols.forEach((yCol, i) => {
+            progress('計算統計', i / yCols.length);
+            const capability = computeStats(plotRows, yCol, specs[yCol], subgroups);
+            series[yCol] = {
+                specs: specs[yCol],
+                stats: capability.control,
+                capability,
+                groups: groups.map(g => ({ key: g.key, stats: computeStats(g.rows, yCol, specs[yCol], subgroups) }))
+            };
+            counts[yCol] = viewRows.filter(row => !isNaN(ExcelParser.parseNumber(row[yCol]))).length;
+        });
+
+        // Non-normal capability of the first series, on the normalised deviation when its limits vary by row
+        let nonNormal = null;
+        if (capabilityMethod && yCols.length > 0) {
+            const { specs: firstSpecs, capability } = series[yCols[0]];
+            const capRows = capability.normalized ? ExcelParser.normalizeToSpecs(plotRows, yCols[0], firstSpecs).rows : plotRows;
+            const values = capRows.map(row => ExcelParser.parseNumber(row[yCols[0]])).filter(v => !isNaN(v));
+            const result = Capability.analyze(values, capability.limits, capabilityMethod);
+            if (result) {
+                // The fitted transform is a function and cannot be posted back
+                const { fit, ...rest } = result;
+                nonNormal = rest;
+            }
+        }
+
+        const pick = (row) => {
+            const out = {};
+            columns.forEach(col => { if (hasOwn(row, col)) out[col] = row[col]; });
+            return out;
+        };
+        progress('計算統計', 1);
+        return { yCols, rows: plotRows.map(pick), series, counts, nonNormal, groupColumn, capabilityMethod };
+    };
+
+    /**
+     * Duplicate rows and, per column, outliers by method (see Statistics.findOutliers)
+     * @returns {Object} { duplicates: [rowIndex], outliers: { col: [rowIndex] }, outlierValues: { col: [number] } }
+     *   indices into the prepared rows; outlierValues lists each column's outlying values in the same order
+     */
+    const quality = ({ columns, method }, progress) => {
+        progress('檢查重複列', 0);
+        const duplicates = ExcelParser.findDuplicateRows(rows);
+        const outliers = {};
+        const outlierValues = {};
+        columns.forEach((col, c) => {
+            progress('檢查離群值', c / columns.length);
+            const indices = [];
+            const values = [];
+            rows.forEach((row, i) => {
+                const v = ExcelParser.parseNumber(row[col]);
+                if (!isNaN(v)) {
+                    indices.push(i);
+                    values.push(v);
+                }
+            });
+            const found = Statistics.findOutliers(values, method);
+            outliers[col] = found.map(k => indices[k]);
+            outlierValues[col] = found.map(k => values[k]);
+        });
+        progress('檢查離群值', 1);
+        return { duplicates, outliers, outlierValues };
+    };
+
+    const TASKS = { parse, removeFile, loadSheets, prepare, uniqueValues, filter, page, firstNumber, analyze, quality };
+
+    /**
+     * Run a task by name; progress(label, fraction) is called as work advances
+     */
+    const run = (type, payload, progress = () => {}) => {
+        const task = TASKS[type];
+        if (!task) return Promise.reject(new Error(`Unknown task: ${type}`));
+        try {
+            return Promise.resolve(task(payload, progress));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    };
+
+    return { run };
+})();
+
+// Worker bootstrap: load SheetJS, the parser, the formula engine, the statistics and the capability analysis into
+// the worker scope, then serve task messages
+if (typeof importScripts === 'function' && typeof window === 'undefined') {
+    importScripts('https://cdn.sheetjs.com/xlsx-0.20.0/package/dist/xlsx.full.min.js', 'excelParser.js', 'formula.js', 'statistics.js',
+        'capability.js');
+
+    self.onmessage = (e) => {
+        const { id, type, payload } = e.data;
+        const progress = (label, fraction) => self.postMessage({ id, type: 'progress', label, fraction });
+        DataTasks.run(type, payload, progress)
+            .then(result => self.postMessage({ id, type: 'result', result }))
+            .catch(error => self.postMessage({ id, type: 'error', message: error.message }));
+    };
+
+    self.postMessage({ type: 'ready' });
+}
@@ -1,77 +1,623 @@
 /**
  * Excel Parser Module
- * Handles Excel file reading and data extraction using SheetJS
+ * Handles Excel/ODS, delimited text (CSV/TSV) and JSON file reading and data extraction using SheetJS
  */
 const ExcelParser = (() => {
     let workbook = null;
+    let importInfo = null;
+
+    const SUPPORTED_EXTENSIONS = ['xlsx', 'xls', 'ods', 'csv', 'tsv', 'txt', 'json'];
+    const TEXT_DELIMITERS = [',', '\t', ';', '|'];
+
+    const getExtension = (fileName) => {
+        const match = String(fileName || '').match(/\.([^.]+)$/);
+        return match ? match[1].toLowerCase() : '';
+    };
+
+    /**
+     * Decode text bytes: BOM (UTF-8 / UTF-16) first, then strict UTF-8, then Big5 for legacy Traditional Chinese exports
+     */
+    const decodeText = (data) => {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        if (typeof bytes === 'string') return { text: bytes.replace(/^\uFEFF/, ''), encoding: 'text' };
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8 (BOM)' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (e) {
+            try {
+                return { text: new TextDecoder('big5', { fatal: true }).decode(bytes), encoding: 'Big5' };
+            } catch (e2) {
+                return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'UTF-8 (含無效字元)' };
+            }
+        }
+    };
+
+    // Number of delimiter occurrences outside double quotes on one line
+    const countDelimiter = (line, delimiter) => {
+        let count = 0;
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') quoted = !quoted;
+            else if (ch === delimiter && !quoted) count++;
+        }
+        return count;
+    };
 
     /**
-     * Parse Excel file from File object or ArrayBuffer
+     * Pick the delimiter that splits the first lines into the most consistent, non-trivial column count
      */
-    const parseFile = (data) => {
+    const detectDelimiter = (text, preferred = '') => {
+        const lines = text.split(/\r\n|\n|\r/).filter(l => l.trim() !== '').slice(0, 20);
+        if (lines.length === 0) return preferred || ',';
+
+        let best = preferred || ',';
+        let bestScore = -1;
+        TEXT_DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(l => countDelimiter(l, delimiter));
+            const freq = new Map();
+            counts.forEach(c => freq.set(c, (freq.get(c) || 0) + 1));
+            const [mode, modeLines] = Array.from(freq).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            if (mode === 0) return;
+            // Consistency dominates; wider splits break ties; the extension's delimiter wins exact ties
+            const score = (modeLines / lines.length) * 1000 + mode + (delimiter === preferred ? 0.5 : 0);
+            if (score > bestScore) {
+                bestScore = score;
+                best = delimiter;
+            }
+        });
+        return best;
+    };
+
+    /**
+     * RFC 4180 style parser: quoted fields may contain delimiters, doubled quotes and line breaks
+     */
+    const parseDelimited = (text, delimiter) => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        quoted = false;
+                    }
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    };
+
+    // Plain numbers become numbers; codes with leading zeros (lot "007") stay text
+    const convertCell = (cell) => {
+        const trimmed = cell.trim();
+        if (trimmed === '') return null;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed) && !/^[-+]?0\d/.test(trimmed)) {
+            return Number(trimmed);
+        }
+        return trimmed;
+    };
+
+    // Sheet names are limited to 31 characters without : \ / ? * [ ]
+    const toSheetName = (name, fallback = 'Sheet1') => {
+        const cleaned = String(name || '').replace(/\.[^.]+$/, '').replace(/[:\\/?*[\]]/g, '_').trim().slice(0, 31);
+        return cleaned || fallback;
+    };
+
+    const readDelimited = (data, fileName, ext) => {
+        const { text, encoding } = decodeText(data);
+        const delimiter = detectDelimiter(text, ext === 'tsv' ? '\t' : ext === 'csv' ? ',' : '');
+        const rows = parseDelimited(text, delimiter).map(r => r.map(convertCell));
+
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), toSheetName(fileName));
+        importInfo = { format: ext === 'tsv' ? 'TSV' : 'CSV', encoding, delimiter };
+        return wb;
+    };
+
+    // Nested objects are flattened one level into "parent.child" columns
+    const flattenRecord = (record) => {
+        const flat = {};
+        Object.entries(record).forEach(([key, val]) => {
+            if (val && typeof val === 'object' && !Array.isArray(val) && !(val instanceof Date)) {
+                Object.entries(val).forEach(([k, v]) => { flat[`${key}.${k}`] = v; });
+            } else {
+                flat[key] = Array.isArray(val) ? val.join(', ') : val;
+            }
+        });
+        return flat;
+    };
+
+    const isRecordArray = (val) => Array.isArray(val) && val.length > 0 && val.every(r => r && typeof r === 'object' && !Array.isArray(r));
+
+    /**
+     * JSON: an array of records becomes one sheet; an object whose values are record arrays becomes one sheet per key
+     */
+    const readJson = (data, fileName) => {
+        const { text, encoding } = decodeText(data);
+        const parsed = JSON.parse(text);
+
+        let sheets;
+        if (isRecordArray(parsed)) {
+            sheets = [[toSheetName(fileName), parsed]];
+        } else if (parsed && typeof parsed === 'object') {
+            sheets = Object.entries(parsed).filter(([, val]) => isRecordArray(val));
+        } else {
+            sheets = [];
+        }
+        if (sheets.length === 0) throw new Error('JSON 須為記錄陣列 (array of objects)');
+
+        const wb = XLSX.utils.book_new();
+        const used = new Set();
+        sheets.forEach(([name, records], i) => {
+            let sheetName = toSheetName(name, `Sheet${i + 1}`);
+            while (used.has(sheetName)) sheetName = `${sheetName.slice(0, 28)}_${i + 1}`;
+            used.add(sheetName);
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(records.map(flattenRecord)), sheetName);
+        });
+        importInfo = { format: 'JSON', encoding, delimiter: null };
+        return wb;
+    };
+
+    /**
+     * Parse a workbook from an ArrayBuffer (or binary string)
+     * The file name's extension selects the reader: Excel/ODS via SheetJS, CSV/TSV/TXT via delimiter and
+     * encoding detection, JSON via record arrays; all produce the same sheet/column structure
+     */
+    const parseFile = (data, fileName = '') => {
         return new Promise((resolve, reject) => {
             try {
-                const options = {
-                    type: data instanceof ArrayBuffer ? 'array' : 'binary',
-                    cellDates: true,
-                    cellNF: false,
-                    cellText: false
-                };
-
-                workbook = XLSX.read(data, options);
+                const ext = getExtension(fileName);
+                if (ext === 'csv' || ext === 'tsv' || ext === 'txt') {
+                    workbook = readDelimited(data, fileName, ext);
+                } else if (ext === 'json') {
+                    workbook = readJson(data, fileName);
+                } else {
+                    const options = {
+                        type: data instanceof ArrayBuffer ? 'array' : 'binary',
+                        cellDates: true,
+                        cellNF: false,
+                        cellText: false
+                    };
+
+                    workbook = XLSX.read(data, options);
+                    importInfo = { format: ext === 'ods' ? 'ODS' : 'Excel', encoding: null, delimiter: null };
+                }
                 resolve(workbook.SheetNames);
             } catch (error) {
-                console.error('Excel parsing error:', error);
+                console.error('File parsing error:', error);
                 reject(error);
             }
         });
     };
 
+    /**
+     * Whether a file name has an importable extension
+     */
+    const isSupportedFile = (fileName) => SUPPORTED_EXTENSIONS.includes(getExtension(fileName));
+
+    /**
+     * Format, encoding and delimiter detected for the last parsed file
+     */
+    const getImportInfo = () => importInfo;
+
+    /**
+     * Active workbook; setWorkbook switches between several parsed files before readSheet / getDefinedNames
+     */
+    const getWorkbook = () => workbook;
+    const setWorkbook = (wb) => { workbook = wb; };
+
     /**
      * Get data from a specific sheet as JSON
      */
-    const getSheetData = (sheetName) => {
+    const getSheetData = (sheetName, options = {}) => {
         if (!workbook) return null;
 
         try {
-            const worksheet = workbook.Sheets[sheetName];
-            // Get raw data to handle Date objects correctly
-            const data = XLSX.utils.sheet_to_json(worksheet, {
-                raw: true
-            });
-
-            return data;
+            return readSheet(sheetName, options).rows;
         } catch (error) {
             console.error('Sheet data extraction error:', error);
             return [];
         }
     };
 
+    const DEFAULT_SHEET_OPTIONS = { headerRow: 1, headerRows: 1, range: '', stopAtBlank: false, readSpecs: false };
+
+    const isDefaultSheetOptions = (options) => Object.keys(DEFAULT_SHEET_OPTIONS)
+        .every(key => options[key] === undefined || options[key] === DEFAULT_SHEET_OPTIONS[key]);
+
+    // "'My Sheet'!$B$5:$H$200" -> { sheet: 'My Sheet', ref: 'B5:H200' }
+    const splitRef = (ref) => {
+        const match = String(ref).match(/^(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/);
+        if (!match) return { sheet: null, ref: String(ref).replace(/\$/g, '') };
+        return { sheet: (match[1] || match[2]).replace(/''/g, "'"), ref: match[3].replace(/\$/g, '') };
+    };
+
+    /**
+     * Workbook-level and sheet-scoped defined names that point into the given sheet
+     */
+    const getDefinedNames = (sheetName) => {
+        const names = (workbook && workbook.Workbook && workbook.Workbook.Names) || [];
+        const sheetIndex = workbook ? workbook.SheetNames.indexOf(sheetName) : -1;
+        return names
+            .filter(n => n.Ref && !n.Hidden && (n.Sheet === undefined || n.Sheet === sheetIndex))
+            .filter(n => splitRef(n.Ref).sheet === sheetName)
+            .map(n => n.Name);
+    };
+
+    /**
+     * Resolve an A1 range ("B5:H200", "B:H") or defined name to a decoded range clipped to the sheet
+     */
+    const resolveRange = (sheetName, worksheet, text) => {
+        const full = XLSX.utils.decode_range(worksheet['!ref'] || 'A1:A1');
+        const trimmed = String(text || '').trim();
+        if (!trimmed) return full;
+
+        const names = (workbook.Workbook && workbook.Workbook.Names) || [];
+        const named = names.find(n => n.Name.toLowerCase() === trimmed.toLowerCase() &&
+            n.Ref && splitRef(n.Ref).sheet === sheetName);
+        let ref = named ? splitRef(named.Ref).ref : trimmed.replace(/\$/g, '').toUpperCase();
+
+        const columnsOnly = ref.match(/^([A-Z]+):([A-Z]+)$/);
+        if (columnsOnly) ref = `${columnsOnly[1]}${full.s.r + 1}:${columnsOnly[2]}${full.e.r + 1}`;
+        if (/^[A-Z]+\d+$/.test(ref)) ref = `${ref}:${XLSX.utils.encode_cell(full.e)}`;
+        if (!/^[A-Z]+\d+:[A-Z]+\d+$/.test(ref)) throw new Error(`無效的資料範圍: ${trimmed}`);
+
+        const range = XLSX.utils.decode_range(ref);
+        range.e.r = Math.min(range.e.r, full.e.r);
+        range.e.c = Math.min(range.e.c, full.e.c);
+        return range;
+    };
+
+    const decimalsOf = (n) => (String(n).split('.')[1] || '').length;
+    const roundTo = (value, ...operands) => Number(value.toFixed(Math.max(...operands.map(decimalsOf))));
+
+    // Tolerance callout patterns, compiled once
+    const TOLERANCE_NUMBER = '([-+]?\\d*\\.?\\d+)';
+    const TOLERANCE_PATTERNS = {
+        plusMinus: new RegExp(`^${TOLERANCE_NUMBER}\\s*±\\s*${TOLERANCE_NUMBER}$`),
+        deviations: new RegExp(`^${TOLERANCE_NUMBER}\\s*([+-]\\s*\\d*\\.?\\d+)\\s*/?\\s*([+-]\\s*\\d*\\.?\\d+)$`),
+        range: new RegExp(`^${TOLERANCE_NUMBER}\\s*~\\s*${TOLERANCE_NUMBER}$`),
+        maxBefore: new RegExp(`^(?:≤|<=|<|max\\.?|上限)\\s*${TOLERANCE_NUMBER}$`, 'i'),
+        maxAfter: new RegExp(`^${TOLERANCE_NUMBER}\\s*(?:max\\.?|以下)$`, 'i'),
+        minBefore: new RegExp(`^(?:≥|>=|>|min\\.?|下限)\\s*${TOLERANCE_NUMBER}$`, 'i'),
+        minAfter: new RegExp(`^${TOLERANCE_NUMBER}\\s*(?:min\\.?|以上)$`, 'i')
+    };
+
     /**
-     * Robust numeric conversion with fallback
+     * Parse a drawing-style tolerance into spec limits
+     * Supports "10±0.05", "Ø10 +0.1/-0.05", "9.95~10.05", "≤0.5" / "max 0.5", "≥10" / "min 10"
+     * @returns {Object|null} { target, usl, lsl } (missing limits omitted)
+     */
+    const parseTolerance = (text) => {
+        if (text === null || text === undefined) return null;
+        const s = String(text)
+            .replace(/[＋]/g, '+').replace(/[－−–]/g, '-').replace(/[～〜]/g, '~').replace(/＜/g, '<').replace(/＞/g, '>')
+            .replace(/^[Ø⌀φΦ]\s*/, '').replace(/\s*(mm|um|μm|µm)\b/gi, '').trim();
+        let m;
+
+        if ((m = s.match(TOLERANCE_PATTERNS.plusMinus))) {
+            const t = parseFloat(m[1]);
+            const d = Math.abs(parseFloat(m[2]));
+            return { target: t, usl: roundTo(t + d, m[1], m[2]), lsl: roundTo(t - d, m[1], m[2]) };
+        }
+        if ((m = s.match(TOLERANCE_PATTERNS.deviations))) {
+            const t = parseFloat(m[1]);
+            const a = parseFloat(m[2].replace(/\s/g, ''));
+            const b = parseFloat(m[3].replace(/\s/g, ''));
+            const digits = [m[1], m[2].replace(/[\s+-]/g, ''), m[3].replace(/[\s+-]/g, '')];
+            return { target: t, usl: roundTo(t + Math.max(a, b), ...digits), lsl: roundTo(t + Math.min(a, b), ...digits) };
+        }
+        if ((m = s.match(TOLERANCE_PATTERNS.range))) {
+            const lo = Math.min(parseFloat(m[1]), parseFloat(m[2]));
+            const hi = Math.max(parseFloat(m[1]), parseFloat(m[2]));
+            return { target: roundTo((lo + hi) / 2, m[1], m[2], '0.0'), usl: hi, lsl: lo };
+        }
+        if ((m = s.match(TOLERANCE_PATTERNS.maxBefore) || s.match(TOLERANCE_PATTERNS.maxAfter))) {
+            return { usl: parseFloat(m[1]) };
+        }
+        if ((m = s.match(TOLERANCE_PATTERNS.minBefore) || s.match(TOLERANCE_PATTERNS.minAfter))) {
+            return { lsl: parseFloat(m[1]) };
+        }
+        return null;
+    };
+
+    // Header parts that belong to a tolerance callout rather than the characteristic name
+    const isSpecPart = (part) => /^([Ø⌀φΦ]?\s*[-+]?\d*\.?\d+|[±+＋≤≥<>~～]|(max|min|上限|下限)\b)/i.test(part);
+
+    /**
+     * Read a sheet with explicit header rows and data range
+     * @param {string} sheetName
+     * @param {Object} options - { headerRow: 1-based sheet row, headerRows: count, range: A1 range or defined name,
+     *                            stopAtBlank: end data at the first empty row, readSpecs: pull tolerances out of the header }
+     * @returns {Object} { rows, columns, specs: { column: { target, usl, lsl } } }
+     */
+    const readSheet = (sheetName, options = {}) => {
+        const worksheet = workbook && workbook.Sheets[sheetName];
+        if (!worksheet) return { rows: [], columns: [], specs: {} };
+
+        if (isDefaultSheetOptions(options)) {
+            // Get raw data to handle Date objects correctly
+            const rows = XLSX.utils.sheet_to_json(worksheet, { raw: true });
+            return { rows, columns: [...new Set(rows.flatMap(r => Object.keys(r)))], specs: {} };
+        }
+
+        const opts = { ...DEFAULT_SHEET_OPTIONS, ...options };
+        const range = resolveRange(sheetName, worksheet, opts.range);
+        const headerStart = Math.max(0, (parseInt(opts.headerRow, 10) || 1) - 1);
+        const headerEnd = headerStart + Math.max(1, parseInt(opts.headerRows, 10) || 1) - 1;
+
+        const cellValue = (r, c) => {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            return cell ? cell.v : undefined;
+        };
+        const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+        // Merged header cells only carry their value in the top-left cell; spread it over the merge
+        const mergedValue = (r, c) => {
+            const merge = (worksheet['!merges'] || []).find(m => r >= m.s.r && r <= m.e.r && c >= m.s.c && c <= m.e.c);
+            return merge ? cellValue(merge.s.r, merge.s.c) : cellValue(r, c);
+        };
+
+        const columns = [];
+        const specs = {};
+        const used = new Map();
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const parts = [];
+            for (let r = headerStart; r <= headerEnd; r++) {
+                const v = mergedValue(r, c);
+                if (isBlank(v)) continue;
+                const part = (v instanceof Date ? formatValue(v) : String(v)).trim();
+                if (parts[parts.length - 1] !== part) parts.push(part);
+            }
+
+            const specParts = opts.readSpecs ? parts.filter(isSpecPart) : [];
+            const spec = specParts.length > 0 ? parseTolerance(specParts.join(' ')) : null;
+            const nameParts = spec ? parts.filter(p => !isSpecPart(p)) : parts;
+
+            let name = nameParts.join(' / ') || '__EMPTY';
+            const count = used.get(name) || 0;
+            used.set(name, count + 1);
+            if (count > 0) name = `${name}_${count}`;
+            columns.push(name);
+            if (spec) specs[name] = spec;
+        }
+
+        const rows = [];
+        for (let r = Math.max(headerEnd + 1, range.s.r); r <= range.e.r; r++) {
+            const row = {};
+            let hasValue = false;
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const v = cellValue(r, c);
+                if (isBlank(v)) continue;
+                row[columns[c - range.s.c]] = v;
+                hasValue = true;
+            }
+            if (hasValue) rows.push(row);
+            else if (opts.stopAtBlank && rows.length > 0) break;
+        }
+
+        return { rows, columns, specs };
+    };
+
+    /**
+     * Number format for text cells
+     * decimal / thousands: separator characters (thousands '' = none, ' ' also matches no-break / thin spaces)
+     * stripUnits: accept a trailing unit ("0.05 mm", "25 ℃") and a leading diameter sign ("Ø12.01")
+     * censored: value used for detection-limit cells ("<0.001", ">100", "ND", "<LOD"):
+     *   'limit' (the limit itself), 'half' (half of a "<" limit), 'zero' ("<" cells as 0), 'missing' (NaN)
+     * percent: 'number' keeps "12%" as 12, 'fraction' reads it as 0.12
+     */
+    const DEFAULT_NUMBER_FORMAT = { decimal: '.', thousands: ',', stripUnits: true, censored: 'limit', percent: 'number' };
+    let numberFormat = { ...DEFAULT_NUMBER_FORMAT };
+
+    const setNumberFormat = (format) => {
+        numberFormat = { ...DEFAULT_NUMBER_FORMAT, ...(format || {}) };
+        if (numberFormat.thousands === numberFormat.decimal) numberFormat.thousands = '';
+    };
+    const getNumberFormat = () => ({ ...numberFormat });
+
+    // Detection-limit markers without a number: ND, N.D., <LOD, <LOQ, BDL, 未檢出
+    const NOT_DETECTED_PATTERN = /^(n\.?d\.?|<\s*lo[dq]|bdl|未檢出)$/i;
+    const CENSOR_PREFIX_PATTERN = /^(<=?|>=?|≤|≥|＜|＞)\s*/;
+    // Unit after the number: starts with a non-digit, may end with a power digit (mm, μm, ℃, kg/cm2, N·m)
+    const UNIT_PATTERN = /^[^\d\s.,+\-±<>][^\d]*\d?$/;
+
+    const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Thousands-separator patterns, compiled once per number format (readNumber runs for every text cell)
+    const separatorPatterns = new WeakMap();
+    const separatorPatternsFor = (format) => {
+        if (!separatorPatterns.has(format)) {
+            const sep = format.thousands === ' ' ? '[\\s\\u00a0\\u202f]' : escapeRegExp(format.thousands);
+            separatorPatterns.set(format, {
+                any: new RegExp(sep),
+                all: new RegExp(sep, 'g'),
+                grouped: new RegExp(`^\\d{1,3}(${sep}\\d{3})+$`)
+            });
+        }
+        return separatorPatterns.get(format);
+    };
+
+    /**
+     * Read a cell with the active number format
+     * @returns {Object} { value, ok, censored } - ok: the cell is a number (or a detection-limit marker);
+     *   censored: '<' / '>' for detection-limit cells, else null
+     */
+    const readNumber = (val, format = numberFormat) => {
+        if (typeof val === 'number') return { value: isFinite(val) ? val : NaN, ok: isFinite(val), censored: null };
+        if (typeof val !== 'string') return { value: NaN, ok: false, censored: null };
+        let s = val.trim();
+        if (!s) return { value: NaN, ok: false, censored: null };
+
+        if (NOT_DETECTED_PATTERN.test(s)) {
+            return { value: format.censored === 'zero' ? 0 : NaN, ok: true, censored: '<' };
+        }
+
+        let censored = null;
+        const prefix = s.match(CENSOR_PREFIX_PATTERN);
+        if (prefix) {
+            censored = /[<≤＜]/.test(prefix[1]) ? '<' : '>';
+            s = s.slice(prefix[0].length);
+        }
+
+        s = s.replace(/^[$€£¥]\s*/, '');
+        if (format.stripUnits) s = s.replace(/^[Øø⌀φΦ]\s*/, '');
+        // Nominal of a toleranced value: "12.0±0.1", "12.0 +/-0.1"
+        s = s.replace(/\s*(±|\+\/-|\+-).*$/, '');
+
+        let percent = false;
+        if (/%$/.test(s)) {
+            percent = true;
+            s = s.slice(0, -1).trim();
+        }
+
+        // Split the numeric token from a trailing unit
+        const match = s.match(/^([-+]?[\d.,'\s\u00a0\u202f]*\d)(e[-+]?\d+)?\s*(.*)$/i);
+        if (!match) return { value: NaN, ok: false, censored: null };
+        const unit = match[3];
+        if (unit && !(format.stripUnits && UNIT_PATTERN.test(unit))) return { value: NaN, ok: false, censored: null };
+
+        let token = match[1];
+        if (format.thousands) {
+            // Grouping must be in threes, so "05.01.2024" is not read as 5012024 with a "." separator
+            const separator = separatorPatternsFor(format);
+            const intPart = token.replace(/^[-+]/, '').split(format.decimal)[0];
+            if (separator.any.test(intPart) && !separator.grouped.test(intPart)) {
+                return { value: NaN, ok: false, censored: null };
+            }
+            token = token.replace(separator.all, '');
+        }
+        if (format.decimal !== '.') token = token.replace(format.decimal, '.');
+        token += match[2] || '';
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(token)) return { value: NaN, ok: false, censored: null };
+
+        let value = parseFloat(token);
+        if (percent && format.percent === 'fraction') value /= 100;
+        if (censored) {
+            if (format.censored === 'missing') value = NaN;
+            else if (censored === '<' && format.censored === 'half') value /= 2;
+            else if (censored === '<' && format.censored === 'zero') value = 0;
+        }
+        return { value, ok: true, censored };
+    };
+
+    /**
+     * Numeric value of a cell with the active number format (NaN when it cannot be parsed)
      */
     const parseNumber = (val) => {
         if (typeof val === 'number') return val;
-        if (!val || typeof val !== 'string') return NaN;
+        return readNumber(val).value;
+    };
+
+    /**
+     * Date formats selectable per X column; 'auto' recognises all of them except day-first dates
+     * whose day is 12 or less (read month-first, as before)
+     */
+    const DATE_FORMATS = {
+        auto: '自動判斷',
+        ymd: 'YYYY/MM/DD',
+        dmy: 'DD/MM/YYYY',
+        mdy: 'MM/DD/YYYY',
+        roc: '民國 YYY/MM/DD',
+        cjk: 'YYYY年M月D日',
+        iso: '日期時間 (含時區)'
+    };
+    let columnDateFormats = {}; // Column -> DATE_FORMATS key
+
+    const setDateFormats = (formats) => { columnDateFormats = { ...(formats || {}) }; };
+    const getDateFormat = (column) => columnDateFormats[column] || 'auto';
 
-        // Remove common currency symbols and commas
-        const cleaned = val.replace(/[$,]/g, '').trim();
-        const num = parseFloat(cleaned);
-        return isFinite(num) ? num : NaN;
+    const ROC_YEAR_OFFSET = 1911;
+    const CJK_DATE_PATTERN = /^(民國|民国)?\s*(\d{2,4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*[日號号]?/;
+    const NUMERIC_DATE_PATTERN = /^(\d{1,4})[/\-.](\d{1,2})[/\-.](\d{1,4})/;
+    // Optional time of day and zone after the date: "T08:30", " 下午 2:05:10", " 2:05 PM", "+08:00", "Z", "GMT+8"
+    const TIME_PATTERN = /^(?:T|\s*)(?:(上午|下午|AM|PM)\s*)?(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,3})\d*)?)?\s*(AM|PM|上午|下午)?\s*(Z|[+-]\d{2}:?\d{2}|(?:GMT|UTC)\s*[+-]\d{1,2}(?::?\d{2})?)?$/i;
+
+    // Minutes east of UTC for a zone suffix
+    const zoneOffset = (zone) => {
+        if (/^z$/i.test(zone)) return 0;
+        const m = zone.replace(/^(GMT|UTC)\s*/i, '').match(/^([+-])(\d{1,2}):?(\d{2})?$/);
+        if (!m) return 0;
+        return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0));
+    };
+
+    // Local date (or UTC shifted by the zone) from parts; null when a part is out of range
+    const buildDate = (y, mo, d, rest) => {
+        if (y < 100) y += 2000;
+        let h = 0, mi = 0, sec = 0, ms = 0, zone = null;
+        const timeText = rest.trim();
+        if (timeText) {
+            const t = rest.match(TIME_PATTERN);
+            if (!t) return null;
+            h = Number(t[2]);
+            mi = Number(t[3]);
+            sec = Number(t[4] || 0);
+            ms = Number((t[5] || '0').padEnd(3, '0'));
+            const meridiem = (t[1] || t[6] || '').toUpperCase();
+            if ((meridiem === 'PM' || meridiem === '下午') && h < 12) h += 12;
+            if ((meridiem === 'AM' || meridiem === '上午') && h === 12) h = 0;
+            zone = t[7] || null;
+        }
+        if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || sec > 59) return null;
+
+        const date = zone
+            ? new Date(Date.UTC(y, mo - 1, d, h, mi, sec, ms) - zoneOffset(zone) * 60000)
+            : new Date(y, mo - 1, d, h, mi, sec, ms);
+        // Reject overflow such as 2025/02/30
+        const check = zone ? new Date(Date.UTC(y, mo - 1, d)) : date;
+        const day = zone ? check.getUTCDate() : check.getDate();
+        return day === d ? date : null;
     };
 
     /**
      * Parse date-like values strictly
+     * format is a DATE_FORMATS key; numbers are Excel serial dates (read as local time so the time of day survives)
      */
-    const parseDate = (val) => {
-        if (val instanceof Date) return val;
+    const parseDate = (val, format = 'auto') => {
+        if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
         if (!val) return null;
 
         // If it's a number, it's an Excel numeric date
         if (typeof val === 'number') {
             // Excel dates are usually between 1.0 (1900) and 100000.0 (2173)
             if (val > 100 && val < 100000) {
-                return new Date((val - 25569) * 86400 * 1000);
+                const u = new Date(Math.round((val - 25569) * 86400 * 1000));
+                return new Date(u.getUTCFullYear(), u.getUTCMonth(), u.getUTCDate(), u.getUTCHours(), u.getUTCMinutes(), u.getUTCSeconds());
             }
             return null;
         }
@@ -79,7 +625,34 @@ const ExcelParser = (() => {
         const s = String(val).trim();
         if (!s) return null;
 
-        // Try standard parsing
+        // 2025年3月4日 / 民國114年3月4日 (a year below 1000 is a ROC year)
+        const cjk = s.match(CJK_DATE_PATTERN);
+        if (cjk && ['auto', 'cjk', 'roc'].includes(format)) {
+            let y = Number(cjk[2]);
+            if (cjk[1] || format === 'roc' || y < 1000) y += ROC_YEAR_OFFSET;
+            return buildDate(y, Number(cjk[3]), Number(cjk[4]), s.slice(cjk[0].length));
+        }
+
+        const num = s.match(NUMERIC_DATE_PATTERN);
+        if (num && format !== 'cjk') {
+            const [a, b, c] = [num[1], num[2], num[3]].map(Number);
+            const rest = s.slice(num[0].length);
+            let order = format;
+            if (format === 'auto' || format === 'iso') {
+                if (num[1].length === 4) order = 'ymd';
+                else if (num[1].length === 3 && num[3].length <= 2) order = 'roc';
+                else if (num[3].length === 4) order = a > 12 ? 'dmy' : 'mdy';
+                else order = null;
+            }
+            if (order === 'ymd') return buildDate(a, b, c, rest);
+            if (order === 'roc') return buildDate(a + ROC_YEAR_OFFSET, b, c, rest);
+            if (order === 'dmy') return buildDate(c, b, a, rest);
+            if (order === 'mdy') return buildDate(c, a, b, rest);
+        }
+
+        if (format !== 'auto' && format !== 'iso') return null;
+
+        // Try standard parsing (month names, RFC 2822, ...)
         const date = new Date(s);
         return isNaN(date.getTime()) ? null : date;
     };
@@ -113,6 +686,207 @@ const ExcelParser = (() => {
         };
     };
 
+    const COLUMN_TYPES = { number: '數值', date: '日期', text: '文字', empty: '空白' };
+    const COLUMN_ROLES = { measurement: '量測值', category: '類別', date: '日期', spec: '規格', ignore: '不使用' };
+
+    const isDateLike = (val, format = 'auto') => {
+        if (val instanceof Date) return !isNaN(val.getTime());
+        if (typeof val !== 'string' || /^\d+$/.test(val.trim())) return false;
+        return parseDate(val, format) !== null;
+    };
+
+    const SPEC_NAME_PATTERN = /(usl|lsl|target|spec|nominal|上限|下限|目標|規格|公差|標準值)/i;
+    const CATEGORY_NAME_PATTERN = /(批|號|線|機|站|班|模|穴|lot|line|machine|station|shift|cavity|id$|no\.?$)/i;
+
+    /**
+     * Default role for a profiled column, optionally as if it had another type (user override)
+     * Integer codes with few values and a lot/line-like name are categories; spec-named numbers are spec columns
+     */
+    const suggestRole = (profile, type = profile.type) => {
+        if (type === 'date') return 'date';
+        if (type === 'number') {
+            if (SPEC_NAME_PATTERN.test(profile.column)) return 'spec';
+            if (profile.integers && profile.unique > 1 && profile.unique <= 50 && CATEGORY_NAME_PATTERN.test(profile.column)) return 'category';
+            return 'measurement';
+        }
+        if (type === 'text' && profile.unique > 1 && profile.unique <= 500) return 'category';
+        return 'ignore';
+    };
+
+    /**
+     * Profile one column over every row: inferred type, missing / non-numeric share, cardinality, range and samples
+     * Numbers follow the active number format; cells it rejects are counted (unparsed) with up to 5 examples
+     * Also suggests a role (measurement, category, date, spec, ignore) for driving selectors and filters
+     */
+    const profileColumn = (data, column) => {
+        const total = data.length;
+        const unique = new Set();
+        const samples = [];
+        let missing = 0;
+        const dateFormat = getDateFormat(column);
+        let numeric = 0;
+        let censored = 0;
+        const unparsed = []; // Distinct values the number format rejected, for the parse report
+        let dates = 0;
+        let integers = true;
+        let min = Infinity;
+        let max = -Infinity;
+        let minDate = null;
+        let maxDate = null;
+
+        for (let i = 0; i < total; i++) {
+            const val = data[i][column];
+            if (val === undefined || val === null || (typeof val === 'string' && val.trim() === '')) {
+                missing++;
+                continue;
+            }
+            const key = val instanceof Date ? val.getTime() : val;
+            if (!unique.has(key) && samples.length < 5) samples.push(val);
+            unique.add(key);
+
+            const num = readNumber(val);
+            if (num.ok) {
+                const n = num.value;
+                numeric++;
+                if (num.censored) censored++;
+                if (isNaN(n)) continue;
+                if (n < min) min = n;
+                if (n > max) max = n;
+                if (!Number.isInteger(n)) integers = false;
+            } else {
+                if (isDateLike(val, dateFormat)) {
+                    const d = parseDate(val, dateFormat);
+                    dates++;
+                    if (!minDate || d < minDate) minDate = d;
+                    if (!maxDate || d > maxDate) maxDate = d;
+                }
+                const text = String(formatValue(val));
+                if (unparsed.length < 5 && !unparsed.includes(text)) unparsed.push(text);
+            }
+        }
+
+        const filled = total - missing;
+        let type = 'text';
+        if (filled === 0) type = 'empty';
+        else if (dates / filled >= 0.8) type = 'date';
+        else if (numeric / filled >= 0.9) type = 'number';
+
+        const profile = {
+            column,
+            type,
+            count: total,
+            missing,
+            missingPct: total > 0 ? missing / total * 100 : 0,
+            nonNumericPct: filled > 0 ? (filled - numeric) / filled * 100 : 0,
+            dateRatio: filled > 0 ? dates / filled : 0,
+            unique: unique.size,
+            unparsed: filled - numeric,
+            unparsedSamples: unparsed,
+            censored,
+            min: type === 'date' ? minDate : (min <= max ? min : null),
+            max: type === 'date' ? maxDate : (min <= max ? max : null),
+            integers: numeric > 0 && integers,
+            samples
+        };
+        profile.role = suggestRole(profile);
+        return profile;
+    };
+
+    /**
+     * Profile every column; returns { column: profile }
+     */
+    const profileColumns = (data, columns) => {
+        const profiles = {};
+        columns.forEach(col => { profiles[col] = profileColumn(data, col); });
+        return profiles;
+    };
+
+    // Local midnight of a YYYY-MM-DD date-picker value
+    const dayStart = (text) => {
+        const m = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+    };
+
+    /**
+     * Row predicate for one column filter:
+     * { values: [...], exclude } matches (or excludes) values compared as strings,
+     * { min, max } numbers within the inclusive range, { from, to } dates within the inclusive YYYY-MM-DD days;
+     * a bare value (filters saved before multi-select) is an exact string match
+     */
+    const buildFilterTest = (column, condition) => {
+        if (condition === null || typeof condition !== 'object') {
+            return (row) => String(row[column]) === String(condition);
+        }
+        if (Array.isArray(condition.values)) {
+            const values = new Set(condition.values.map(String));
+            return condition.exclude
+                ? (row) => !values.has(String(row[column]))
+                : (row) => values.has(String(row[column]));
+        }
+        if ('from' in condition || 'to' in condition) {
+            const format = getDateFormat(column);
+            const from = dayStart(condition.from);
+            const to = dayStart(condition.to);
+            if (to) to.setDate(to.getDate() + 1);
+            return (row) => {
+                const d = parseDate(row[column], format);
+                return !!d && (!from || d >= from) && (!to || d < to);
+            };
+        }
+        const min = typeof condition.min === 'number' ? condition.min : -Infinity;
+        const max = typeof condition.max === 'number' ? condition.max : Infinity;
+        return (row) => {
+            const n = parseNumber(row[column]);
+            return !isNaN(n) && n >= min && n <= max;
+        };
+    };
+
+    /**
+     * Indices of rows matching the active filters ({ column: condition }, see buildFilterTest)
+     * logic 'and' keeps rows matching every filter, 'or' rows matching any; no filters keeps every row
+     */
+    const filterIndices = (data, filters, logic = 'and') => {
+        const tests = Object.entries(filters || {}).map(([col, condition]) => buildFilterTest(col, condition));
+        const matches = tests.length === 0
+            ? () => true
+            : logic === 'or'
+                ? (row) => tests.some(test => test(row))
+                : (row) => tests.every(test => test(row));
+        const indices = [];
+        for (let i = 0; i < data.length; i++) {
+            if (matches(data[i])) indices.push(i);
+        }
+        return indices;
+    };
+
+    /**
+     * Indices of rows identical to an earlier row (every column except the __file / __sheet source columns),
+     * e.g. the same record present in two merged sheets; the first occurrence is kept
+     */
+    const findDuplicateRows = (data) => {
+        const seen = new Set();
+        const duplicates = [];
+        for (let i = 0; i < data.length; i++) {
+            const row = data[i];
+            const key = JSON.stringify(Object.keys(row).filter(k => k !== '__file' && k !== '__sheet').sort()
+                .map(k => [k, row[k] instanceof Date ? row[k].getTime() : row[k]]));
+            if (seen.has(key)) duplicates.push(i);
+            else seen.add(key);
+        }
+        return duplicates;
+    };
+
+    /**
+     * Column names across all rows, in first-seen order
+     */
+    const getColumns = (data) => {
+        const set = new Set();
+        for (let i = 0; i < data.length; i++) {
+            Object.keys(data[i]).forEach(key => set.add(key));
+        }
+        return Array.from(set);
+    };
+
     /**
      * Extract unique values for filtering
      */
@@ -128,28 +902,469 @@ const ExcelParser = (() => {
     };
 
     /**
-     * Utility to format display values
+     * Utility to format display values; dates use local date parts (YYYY-MM-DD, plus HH:mm[:ss] with a time of day)
      */
     const formatValue = (val) => {
         if (typeof val === 'number') {
             return Number.isInteger(val) ? val : parseFloat(val.toFixed(4));
         }
+        if (val instanceof Date && !isNaN(val)) {
+            const pad = (n) => String(n).padStart(2, '0');
+            const text = `${val.getFullYear()}-${pad(val.getMonth() + 1)}-${pad(val.getDate())}`;
+            if (val.getHours() === 0 && val.getMinutes() === 0 && val.getSeconds() === 0) return text;
+            return `${text} ${pad(val.getHours())}:${pad(val.getMinutes())}${val.getSeconds() ? `:${pad(val.getSeconds())}` : ''}`;
+        }
         return val;
     };
 
+    /**
+     * Sort rows chronologically by a date-like column (returns a new array)
+     */
+    const sortByDate = (data, column) => {
+        const format = getDateFormat(column);
+        return [...data].sort((a, b) => {
+            const da = parseDate(a[column], format) || new Date(0);
+            const db = parseDate(b[column], format) || new Date(0);
+            return da - db;
+        });
+    };
+
+    /**
+     * Rows carrying at least one numeric Y value, in chart order (date-sorted when requested)
+     */
+    const getPlotRows = (data, yColumns, xColumn = '', isXDate = false) => {
+        const rows = data.filter(row => yColumns.some(yCol => !isNaN(parseNumber(row[yCol]))));
+        return isXDate && xColumn ? sortByDate(rows, xColumn) : rows;
+    };
+
+    /**
+     * SPC control chart constants by subgroup size (n = 2..25)
+     * d2/d3/c4 are the standard table values; A2/A3/D3/D4/B3/B4 are derived from them
+     */
+    const SPC_CONSTANTS_TABLE = {
+        2: [1.128, 0.853, 0.7979], 3: [1.693, 0.888, 0.8862], 4: [2.059, 0.880, 0.9213],
+        5: [2.326, 0.864, 0.9400], 6: [2.534, 0.848, 0.9515], 7: [2.704, 0.833, 0.9594],
+        8: [2.847, 0.820, 0.9650], 9: [2.970, 0.808, 0.9693], 10: [3.078, 0.797, 0.9727],
+        11: [3.173, 0.787, 0.9754], 12: [3.258, 0.778, 0.9776], 13: [3.336, 0.770, 0.9794],
+        14: [3.407, 0.763, 0.9810], 15: [3.472, 0.756, 0.9823], 16: [3.532, 0.750, 0.9835],
+        17: [3.588, 0.744, 0.9845], 18: [3.640, 0.739, 0.9854], 19: [3.689, 0.734, 0.9862],
+        20: [3.735, 0.729, 0.9869], 21: [3.778, 0.724, 0.9876], 22: [3.819, 0.720, 0.9882],
+        23: [3.858, 0.716, 0.9887], 24: [3.895, 0.712, 0.9892], 25: [3.931, 0.708, 0.9896]
+    };
+
+    const getSpcConstants = (n) => {
+        const entry = SPC_CONSTANTS_TABLE[n];
+        if (!entry) return null;
+        const [d2, d3, c4] = entry;
+        const sqrtN = Math.sqrt(n);
+        const sFactor = 3 * Math.sqrt(1 - c4 * c4) / c4;
+        return {
+            n, d2, d3, c4,
+            A2: 3 / (d2 * sqrtN),
+            A3: 3 / (c4 * sqrtN),
+            D3: Math.max(0, 1 - 3 * d3 / d2),
+            D4: 1 + 3 * d3 / d2,
+            B3: Math.max(0, 1 - sFactor),
+            B4: 1 + sFactor
+        };
+    };
+
+    /**
+     * Moving ranges of consecutive values with MR-bar and MR chart limits (UCL = D4·MR-bar, LCL = D3·MR-bar for n = 2)
+     * ranges[0] is null so the array stays aligned with the input values
+     */
+    const getMovingRanges = (values) => {
+        const ranges = values.map((v, i) => i > 0 ? Math.abs(v - values[i - 1]) : null);
+        if (values.length < 2) return { ranges, mrBar: 0, ucl: 0, lcl: 0 };
+        const mrBar = ranges.slice(1).reduce((a, b) => a + b, 0) / (values.length - 1);
+        const { D3, D4 } = getSpcConstants(2);
+        return { ranges, mrBar, ucl: D4 * mrBar, lcl: D3 * mrBar };
+    };
+
+    /**
+     * Split rows into rational subgroups, either by the value of a column
+     * (in order of first appearance) or by consecutive chunks of a fixed size
+     */
+    const buildSubgroups = (data, { column = '', size = 0 } = {}) => {
+        if (!data || data.length === 0) return [];
+
+        if (column) {
+            const groups = new Map();
+            data.forEach(row => {
+                const key = String(row[column] ?? '');
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+            return Array.from(groups, ([key, rows]) => ({ key, rows }));
+        }
+
+        if (size >= 2) {
+            const subgroups = [];
+            for (let i = 0; i < data.length; i += size) {
+                subgroups.push({ key: String(subgroups.length + 1), rows: data.slice(i, i + size) });
+            }
+            return subgroups;
+        }
+
+        return [];
+    };
+
+    /**
+     * EWMA chart: z_i = λx_i + (1 − λ)z_(i−1), z_0 = μ0, with exact time-varying limits
+     * μ0 ± Lσ√(λ/(2 − λ)·(1 − (1 − λ)^(2i)))
+     * @param {Array} values - Observations in chart order
+     * @param {Object} options - { mean: μ0, sigma, lambda (0–1], L }
+     * @returns {Object} { z, ucl, lcl, cl, signals } or null when sigma is unusable
+     */
+    const getEwma = (values, { mean, sigma, lambda = 0.2, L = 3 } = {}) => {
+        if (!(sigma > 0) || isNaN(mean) || !(lambda > 0 && lambda <= 1) || !(L > 0)) return null;
+        const z = [];
+        const ucl = [];
+        const lcl = [];
+        let prev = mean;
+        values.forEach((x, i) => {
+            prev = lambda * x + (1 - lambda) * prev;
+            z.push(prev);
+            const width = L * sigma * Math.sqrt(lambda / (2 - lambda) * (1 - Math.pow(1 - lambda, 2 * (i + 1))));
+            ucl.push(mean + width);
+            lcl.push(mean - width);
+        });
+        return { z, ucl, lcl, cl: mean, signals: z.map((v, i) => v > ucl[i] || v < lcl[i]) };
+    };
+
+    /**
+     * Tabular CUSUM: C⁺_i = max(0, x_i − (μ0 + K) + C⁺_(i−1)), C⁻_i = max(0, (μ0 − K) − x_i + C⁻_(i−1))
+     * with K = kσ and decision interval H = hσ
+     * @param {Array} values - Observations in chart order
+     * @param {Object} options - { mean: μ0, sigma, k, h } (k and h in sigma units)
+     * @returns {Object} { cPlus, cMinus, K, H, signals } or null when sigma is unusable
+     */
+    const getCusum = (values, { mean, sigma, k = 0.5, h = 4 } = {}) => {
+        if (!(sigma > 0) || isNaN(mean) || !(k >= 0) || !(h > 0)) return null;
+        const K = k * sigma;
+        const H = h * sigma;
+        const cPlus = [];
+        const cMinus = [];
+        let up = 0;
+        let down = 0;
+        values.forEach(x => {
+            up = Math.max(0, x - (mean + K) + up);
+            down = Math.max(0, (mean - K) - x + down);
+            cPlus.push(up);
+            cMinus.push(down);
+        });
+        return { cPlus, cMinus, K, H, signals: cPlus.map((v, i) => v > H || cMinus[i] > H) };
+    };
+
+    /**
+     * Attribute control charts with per-point limits when the sample size varies
+     * p: d/n, p̄ ± 3√(p̄(1 − p̄)/nᵢ); np: d, nᵢp̄ ± 3√(nᵢp̄(1 − p̄)); c: c, c̄ ± 3√c̄; u: c/n, ū ± 3√(ū/nᵢ)
+     * LCLs are floored at 0 (and p's UCL capped at 1)
+     * @param {Array} counts - Nonconforming units (p/np) or nonconformities (c/u) per sample
+     * @param {Array} sizes - Sample sizes aligned with counts (required for p/np/u, ignored for c)
+     * @param {string} chartType - 'p' | 'np' | 'c' | 'u'
+     * @returns {Object} { chartType, values, cl, ucl, lcl, center, isConstant, signals } or null
+     */
+    const getAttributeStats = (counts, sizes, chartType) => {
+        const needsSize = chartType !== 'c';
+        if (counts.length === 0 || (needsSize && (!sizes || sizes.length !== counts.length))) return null;
+        if (needsSize && sizes.some(n => !(n > 0))) return null;
+
+        const totalCount = counts.reduce((a, b) => a + b, 0);
+        const n = needsSize ? sizes : counts.map(() => 1);
+        const totalSize = n.reduce((a, b) => a + b, 0);
+        const center = totalCount / totalSize;
+
+        let values, cl, spread;
+        if (chartType === 'p') {
+            if (center > 1) return null;
+            values = counts.map((d, i) => d / n[i]);
+            cl = counts.map(() => center);
+            spread = n.map(ni => 3 * Math.sqrt(center * (1 - center) / ni));
+        } else if (chartType === 'np') {
+            if (center > 1) return null;
+            values = [...counts];
+            cl = n.map(ni => ni * center);
+            spread = n.map(ni => 3 * Math.sqrt(ni * center * (1 - center)));
+        } else if (chartType === 'u') {
+            values = counts.map((c, i) => c / n[i]);
+            cl = counts.map(() => center);
+            spread = n.map(ni => 3 * Math.sqrt(center / ni));
+        } else if (chartType === 'c') {
+            values = [...counts];
+            cl = counts.map(() => center);
+            spread = counts.map(() => 3 * Math.sqrt(center));
+        } else {
+            return null;
+        }
+
+        const ucl = cl.map((c, i) => chartType === 'p' ? Math.min(1, c + spread[i]) : c + spread[i]);
+        const lcl = cl.map((c, i) => Math.max(0, c - spread[i]));
+        return {
+            chartType, values, cl, ucl, lcl, center,
+            isConstant: n.every(ni => ni === n[0]),
+            signals: values.map((v, i) => v > ucl[i] || v < lcl[i])
+        };
+    };
+
+    /**
+     * Stratify rows by a categorical column for side-by-side comparison
+     * Rows with an empty category are left out; groups are in natural (numeric-aware) key order
+     * @returns {Array} [{ key, rows }]
+     */
+    const groupBy = (data, column) => {
+        if (!data || data.length === 0 || !column) return [];
+        const groups = new Map();
+        data.forEach(row => {
+            const val = row[column];
+            if (val === undefined || val === null || val === '') return;
+            const key = String(val);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        return Array.from(groups, ([key, rows]) => ({ key, rows }))
+            .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    };
+
+    const isEmptyCell = (val) => val === undefined || val === null || val === '';
+
+    /**
+     * Wide to long: each chosen column becomes its own (variable, value) row, other columns are repeated
+     * @param {Array} data - Row objects
+     * @param {Array} valueColumns - Columns to stack (e.g. X1..X5)
+     * @param {Object} options - { variableName, valueName, rowIdName } (rowIdName adds the 1-based source row, useful as subgroup)
+     */
+    const unpivot = (data, valueColumns, options = {}) => {
+        const { variableName = '變數', valueName = '數值', rowIdName = '' } = options;
+        if (!data || !valueColumns || valueColumns.length === 0) return data || [];
+        const stacked = new Set(valueColumns);
+
+        const result = [];
+        data.forEach((row, i) => {
+            const base = {};
+            if (rowIdName) base[rowIdName] = i + 1;
+            Object.keys(row).forEach(key => {
+                if (!stacked.has(key)) base[key] = row[key];
+            });
+            valueColumns.forEach(col => {
+                if (isEmptyCell(row[col])) return;
+                result.push({ ...base, [variableName]: col, [valueName]: row[col] });
+            });
+        });
+        return result;
+    };
+
+    /**
+     * Long to wide: values of namesFrom become columns filled from valuesFrom
+     * Rows are keyed by idColumns (default: every other column); repeated names within a key start a new row
+     * instead of being aggregated, so no measurement is lost
+     */
+    const pivot = (data, options = {}) => {
+        const { namesFrom, valuesFrom } = options;
+        if (!data || data.length === 0 || !namesFrom || !valuesFrom) return data || [];
+        const idColumns = options.idColumns && options.idColumns.length > 0
+            ? options.idColumns
+            : [...new Set(data.flatMap(r => Object.keys(r)))].filter(c => c !== namesFrom && c !== valuesFrom);
+
+        const result = [];
+        const slots = new Map(); // id key -> rows created for that key, in occurrence order
+        data.forEach(row => {
+            const name = row[namesFrom];
+            if (isEmptyCell(name)) return;
+            const column = String(name);
+            const key = JSON.stringify(idColumns.map(c => isEmptyCell(row[c]) ? null : String(row[c])));
+            if (!slots.has(key)) slots.set(key, []);
+            const rows = slots.get(key);
+
+            let target = rows.find(r => !Object.prototype.hasOwnProperty.call(r, column));
+            if (!target) {
+                target = {};
+                idColumns.forEach(c => {
+                    if (!isEmptyCell(row[c])) target[c] = row[c];
+                });
+                rows.push(target);
+                result.push(target);
+            }
+            target[column] = row[valuesFrom];
+        });
+        return result;
+    };
+
+    /**
+     * Apply a reshape configuration
+     * @param {Object} config - { mode: 'none'|'unpivot'|'pivot'|'transpose', columns, variableName, valueName,
+     *                           rowIdName, namesFrom, valuesFrom, idColumns, nameColumn }
+     * 'transpose' turns a layout with one characteristic per row (name column + sample columns) into one row per sample
+     */
+    const reshape = (data, config = {}) => {
+        switch (config.mode) {
+            case 'unpivot':
+                return unpivot(data, config.columns, config);
+            case 'pivot':
+                return pivot(data, config);
+            case 'transpose': {
+                if (!config.nameColumn) return data;
+                const sampleName = config.variableName || '樣本';
+                const samples = [...new Set(data.flatMap(r => Object.keys(r)))].filter(c => c !== config.nameColumn);
+                const long = unpivot(data, samples, { variableName: sampleName, valueName: '__value' })
+                    .map(r => ({ [sampleName]: r[sampleName], [config.nameColumn]: r[config.nameColumn], __value: r.__value }));
+                return pivot(long, { namesFrom: config.nameColumn, valuesFrom: '__value', idColumns: [sampleName] });
+            }
+            default:
+                return data;
+        }
+    };
+
+    /**
+     * X-bar/R and X-bar/S chart statistics for one column over pre-built subgroups
+     * @param {Array} subgroups - Output of buildSubgroups
+     * @param {string} column - Measurement column
+     * @param {string} chartType - 'xbar-r' or 'xbar-s'
+     */
+    const getSubgroupStats = (subgroups, column, chartType = 'xbar-r') => {
+        const useS = chartType === 'xbar-s';
+
+        const groups = subgroups.map((g, index) => {
+            const values = g.rows.map(row => parseNumber(row[column])).filter(v => !isNaN(v));
+            const n = values.length;
+            if (n === 0) return null;
+            const mean = values.reduce((a, b) => a + b, 0) / n;
+            const range = n > 1 ? Math.max(...values) - Math.min(...values) : null;
+            const stdev = n > 1 ? Math.sqrt(values.reduce((a, v) => a + Math.pow(v - mean, 2), 0) / (n - 1)) : null;
+            return { index, key: g.key, rows: g.rows, n, mean, range, stdev, constants: getSpcConstants(n) };
+        }).filter(g => g !== null);
+
+        // Only subgroups with tabulated constants contribute to the within-subgroup sigma
+        const usable = groups.filter(g => g.constants);
+        if (usable.length === 0) return null;
+
+        const totalN = groups.reduce((a, g) => a + g.n, 0);
+        const grandMean = groups.reduce((a, g) => a + g.mean * g.n, 0) / totalN;
+        const rBar = usable.reduce((a, g) => a + g.range, 0) / usable.length;
+        const sBar = usable.reduce((a, g) => a + g.stdev, 0) / usable.length;
+        const sigma = useS
+            ? usable.reduce((a, g) => a + g.stdev / g.constants.c4, 0) / usable.length
+            : usable.reduce((a, g) => a + g.range / g.constants.d2, 0) / usable.length;
+
+        const isBalanced = usable.length === groups.length && groups.every(g => g.n === groups[0].n);
+
+        // Balanced subgroups use the textbook A2/A3, D3/D4, B3/B4 formulas directly;
+        // unequal sizes fall back to per-subgroup limits derived from the pooled sigma
+        const limitsFor = (g) => {
+            const c = g.constants;
+            if (isBalanced) {
+                return useS
+                    ? { xUcl: grandMean + c.A3 * sBar, xLcl: grandMean - c.A3 * sBar, cl: sBar, ucl: c.B4 * sBar, lcl: c.B3 * sBar }
+                    : { xUcl: grandMean + c.A2 * rBar, xLcl: grandMean - c.A2 * rBar, cl: rBar, ucl: c.D4 * rBar, lcl: c.D3 * rBar };
+            }
+            const xSpread = 3 * sigma / Math.sqrt(g.n);
+            if (!c) return { xUcl: grandMean + xSpread, xLcl: grandMean - xSpread, cl: null, ucl: null, lcl: null };
+            const center = useS ? c.c4 * sigma : c.d2 * sigma;
+            return useS
+                ? { xUcl: grandMean + xSpread, xLcl: grandMean - xSpread, cl: center, ucl: c.B4 * center, lcl: c.B3 * center }
+                : { xUcl: grandMean + xSpread, xLcl: grandMean - xSpread, cl: center, ucl: c.D4 * center, lcl: c.D3 * center };
+        };
+
+        const limits = groups.map(limitsFor);
+
+        return {
+            chartType: useS ? 'xbar-s' : 'xbar-r',
+            isBalanced,
+            subgroupSize: isBalanced ? groups[0].n : null,
+            constants: isBalanced ? groups[0].constants : null,
+            groups,
+            grandMean, rBar, sBar, sigma,
+            xbar: {
+                cl: grandMean,
+                ucl: limits.map(l => l.xUcl),
+                lcl: limits.map(l => l.xLcl)
+            },
+            spread: {
+                values: groups.map(g => useS ? g.stdev : g.range),
+                cl: limits.map(l => l.cl),
+                ucl: limits.map(l => l.ucl),
+                lcl: limits.map(l => l.lcl)
+            }
+        };
+    };
+
+    const SPEC_KEYS = ['target', 'usl', 'lsl'];
+
+    /**
+     * Target/USL/LSL of one row: specs.columns (row-by-row spec columns) where the row holds a number, else the scalar specs
+     */
+    const getRowSpecs = (row, specs = {}) => {
+        const columns = specs.columns || {};
+        const result = {};
+        SPEC_KEYS.forEach(key => {
+            const val = columns[key] ? parseNumber(row[columns[key]]) : NaN;
+            result[key] = isNaN(val) ? specs[key] : val;
+        });
+        return result;
+    };
+
+    /**
+     * Whether the row-by-row limits differ anywhere within rows
+     */
+    const hasVaryingSpecs = (rows, specs = {}) => {
+        if (!specs.columns || rows.length === 0) return false;
+        const first = getRowSpecs(rows[0], specs);
+        const same = (a, b) => a === b || (isNaN(a) && isNaN(b));
+        return rows.some(row => {
+            const limits = getRowSpecs(row, specs);
+            return SPEC_KEYS.some(key => !same(limits[key], first[key]));
+        });
+    };
+
+    /**
+     * Replace yCol with its deviation normalised to each row's own tolerance so rows with different limits share one scale:
+     * two-sided (x − mid) / half-width against ±1, one-sided with a target (x − T) / |limit − T| against ±1,
+     * one-sided without a target x − limit against 0. Rows missing a needed limit get no value.
+     * @returns {Object} { rows, specs } - copied rows and the normalised limits to judge them by
+     */
+    const normalizeToSpecs = (rows, yCol, specs = {}) => {
+        const limits = rows.map(row => getRowSpecs(row, specs));
+        const has = (key) => limits.some(l => !isNaN(l[key]));
+        const hasUSL = has('usl');
+        const hasLSL = has('lsl');
+        const hasTarget = has('target');
+
+        const deviation = (x, { target, usl, lsl }) => {
+            if (hasUSL && hasLSL) return usl > lsl ? (x - (usl + lsl) / 2) / ((usl - lsl) / 2) : NaN;
+            if (hasUSL) return hasTarget ? (usl > target ? (x - target) / (usl - target) : NaN) : x - usl;
+            if (hasLSL) return hasTarget ? (target > lsl ? (x - target) / (target - lsl) : NaN) : x - lsl;
+            return NaN;
+        };
+
+        const bound = (hasUSL && hasLSL) || hasTarget ? 1 : 0;
+        return {
+            rows: rows.map((row, i) => ({ ...row, [yCol]: deviation(parseNumber(row[yCol]), limits[i]) })),
+            specs: {
+                ...specs,
+                columns: null,
+                target: hasTarget && !(hasUSL && hasLSL) ? 0 : NaN,
+                usl: hasUSL ? bound : NaN,
+                lsl: hasLSL ? -bound : NaN
+            }
+        };
+    };
+
     /**
      * Advanced Statistical Calculations including Within/Between StdDev and QC Metrics
+     * @param {Array} values - Individual measurements
+     * @param {Object} specs - Target/USL/LSL limits
+     * @param {Object} options - { subgroups } from getSubgroupStats to estimate sigma within by R-bar/d2 or S-bar/c4
      */
-    const getStats = (values, specs = {}) => {
+    const getStats = (values, specs = {}, options = {}) => {
         const validValues = values
             .map(v => typeof v === 'number' ? v : parseNumber(v))
             .filter(v => !isNaN(v));
 
         const n = validValues.length;
         if (n === 0) return {
-            mean: 0, n: 0, ca: null, cp: null, cpk: null, ppk: null,
+            mean: 0, n: 0, ca: null, cp: null, cpk: null, pp: null, ppk: null, ppm: null,
             stdevOverall: 0, stdevWithin: 0, stdevBetween: 0,
-            ucl: 0, lcl: 0
+            ucl: 0, lcl: 0, subgroup: null
         };
 
         const mean = validValues.reduce((a, b) => a + b, 0) / n;
@@ -158,20 +1373,21 @@ const ExcelParser = (() => {
         const sumSqDiff = validValues.map(x => Math.pow(x - mean, 2)).reduce((a, b) => a + b, 0);
         const stdevOverall = n > 1 ? Math.sqrt(sumSqDiff / (n - 1)) : 0;
 
-        // Within-Subgroup Standard Deviation (approx using moving range)
+        // Within-Subgroup Standard Deviation (R-bar/d2 or S-bar/c4 for subgroups, otherwise moving range)
+        const subgroups = options.subgroups || null;
         let stdevWithin = stdevOverall;
-        if (n > 1) {
-            let diffSum = 0;
-            for (let i = 1; i < n; i++) diffSum += Math.abs(validValues[i] - validValues[i - 1]);
+        if (subgroups) {
+            stdevWithin = subgroups.sigma;
+        } else if (n > 1) {
             const d2 = 1.128; // for n=2 moving range
-            stdevWithin = (diffSum / (n - 1)) / d2;
+            stdevWithin = getMovingRanges(validValues).mrBar / d2;
         }
 
         // Between-Subgroup Standard Deviation
         const stdevBetween = Math.sqrt(Math.max(0, Math.pow(stdevOverall, 2) - Math.pow(stdevWithin, 2)));
 
         // Quality Metrics
-        let ca = null, cp = null, cpk = null, ppk = null;
+        let ca = null, cp = null, cpk = null, pp = null, ppk = null;
         const usl = specs.usl;
         const lsl = specs.lsl;
         const hasUSL = !isNaN(usl);
@@ -184,6 +1400,7 @@ const ExcelParser = (() => {
             ca = (mean - u) / (t / 2);
             cp = t / (6 * stdevWithin);
             cpk = Math.min((usl - mean) / (3 * stdevWithin), (mean - lsl) / (3 * stdevWithin));
+            pp = t / (6 * stdevOverall);
             ppk = Math.min((usl - mean) / (3 * stdevOverall), (mean - lsl) / (3 * stdevOverall));
         } else if (hasUSL) {
             // USL only
@@ -195,14 +1412,20 @@ const ExcelParser = (() => {
             ppk = (mean - lsl) / (3 * stdevOverall);
         }
 
+        // Observed nonconforming parts per million
+        const ppm = hasUSL || hasLSL
+            ? validValues.filter(v => (hasUSL && v > usl) || (hasLSL && v < lsl)).length / n * 1e6
+            : null;
+
         // Control Limits (3-sigma)
         const ucl = mean + 3 * stdevWithin;
         const lcl = mean - 3 * stdevWithin;
 
         return {
-            mean, n, ca, cp, cpk, ppk,
+            mean, n, ca, cp, cpk, pp, ppk, ppm,
             stdevOverall, stdevWithin, stdevBetween,
-            ucl, lcl
+            ucl, lcl,
+            subgroup: subgroups
         };
     };
 
@@ -216,14 +1439,54 @@ const ExcelParser = (() => {
     };
 
     return {
+        SUPPORTED_EXTENSIONS,
         parseFile,
+        isSupportedFile,
+        getImportInfo,
+        getWorkbook,
+        setWorkbook,
         getSheetData,
+        readSheet,
+        getDefinedNames,
+        parseTolerance,
+        DEFAULT_SHEET_OPTIONS,
+        getColumns,
         getUniqueValues,
+        filterIndices,
+        findDuplicateRows,
+        COLUMN_TYPES,
+        COLUMN_ROLES,
+        profileColumn,
+        suggestRole,
+        profileColumns,
         formatValue,
+        getRowSpecs,
+        hasVaryingSpecs,
+        normalizeToSpecs,
         getStats,
+        getSpcConstants,
+        getMovingRanges,
+        getEwma,
+        getCusum,
+        getAttributeStats,
+        buildSubgroups,
+        groupBy,
+        unpivot,
+        pivot,
+        reshape,
+        getSubgroupStats,
+        sortByDate,
+        getPlotRows,
         normDist,
         parseNumber,
+        readNumber,
+        DEFAULT_NUMBER_FORMAT,
+        setNumberFormat,
+        getNumberFormat,
         parseDate,
+        DATE_FORMATS,
+        setDateFormats,
+        getDateFormat,
         detectDateConfidence
     };
 })();
@@ -0,0 +1,290 @@
+/**
+ * Formula Module
+ * Safe expression language for computed columns: arithmetic, comparisons, a few functions and column references.
+ * Expressions are parsed into closures (no eval), so a formula can only read the row it is evaluated on
+ */
+const Formula = (() => {
+    /**
+     * Supported functions: [min args, max args, description]
+     */
+    const FUNCTIONS = {
+        abs: [1, 1, 'abs(x) 絕對值'],
+        sqrt: [1, 1, 'sqrt(x) 平方根'],
+        round: [1, 2, 'round(x, 位數) 四捨五入'],
+        min: [1, Infinity, 'min(a, b, …) 最小值'],
+        max: [1, Infinity, 'max(a, b, …) 最大值'],
+        if: [3, 3, 'if(條件, 成立值, 不成立值)'],
+        datediff: [2, 3, 'datediff(結束, 開始, "d"|"h"|"m") 日期差 (天 / 時 / 分)']
+    };
+
+    const DATE_UNITS = { d: 86400000, h: 3600000, m: 60000 };
+
+    const fail = (message, pos) => {
+        throw new Error(pos === undefined ? message : `第 ${pos + 1} 個字元：${message}`);
+    };
+
+    // --- Tokenizer ---
+
+    const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '(', ')', ',', '<', '>', '=', '!'];
+
+    const tokenize = (text) => {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            const start = i;
+            const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), pos: start });
+                i += number[0].length;
+            } else if (ch === '"' || ch === "'") {
+                const end = text.indexOf(ch, i + 1);
+                if (end < 0) fail('字串缺少結尾引號', start);
+                tokens.push({ type: 'string', value: text.slice(i + 1, end), pos: start });
+                i = end + 1;
+            } else if (ch === '[') {
+                // [欄位名稱] references any column, including names with spaces or symbols
+                const end = text.indexOf(']', i + 1);
+                if (end < 0) fail('欄位名稱缺少結尾 ]', start);
+                tokens.push({ type: 'column', value: text.slice(i + 1, end), pos: start });
+                i = end + 1;
+            } else if (/[\p{L}_]/u.test(ch)) {
+                const word = text.slice(i).match(/^[\p{L}\p{N}_.]+/u)[0];
+                tokens.push({ type: 'name', value: word, pos: start });
+                i += word.length;
+            } else {
+                const op = OPERATORS.find(o => text.startsWith(o, i));
+                if (!op) fail(`無法辨識的符號「${ch}」`, start);
+                tokens.push({ type: 'op', value: op === '=' ? '==' : op, pos: start });
+                i += op.length;
+            }
+        }
+        tokens.push({ type: 'end', pos: text.length });
+        return tokens;
+    };
+
+    // --- Value coercion ---
+
+    const toNumber = (val) => {
+        if (typeof val === 'number') return val;
+        if (typeof val === 'boolean') return val ? 1 : 0;
+        if (val === null || val === undefined || val === '' || val instanceof Date) return NaN;
+        return ExcelParser.parseNumber(val);
+    };
+
+    const isTruthy = (val) => {
+        if (typeof val === 'string') return val !== '';
+        const n = toNumber(val);
+        return !isNaN(n) && n !== 0;
+    };
+
+    // Numbers compare numerically; anything else (lot codes, part numbers) as text
+    const compareValues = (a, b) => {
+        const na = toNumber(a);
+        const nb = toNumber(b);
+        if (!isNaN(na) && !isNaN(nb)) return na - nb;
+        const sa = String(a ?? '');
+        const sb = String(b ?? '');
+        return sa < sb ? -1 : sa > sb ? 1 : 0;
+    };
+
+    const COMPARISONS = {
+        '<': c => c < 0, '<=': c => c <= 0, '>': c => c > 0, '>=': c => c >= 0, '==': c => c === 0, '!=': c => c !== 0
+    };
+
+    const ARITHMETIC = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => b === 0 ? NaN : a / b,
+        '%': (a, b) => b === 0 ? NaN : a % b,
+        '^': (a, b) => Math.pow(a, b)
+    };
+
+    // --- Parser: each rule returns a node { evaluate(row), column? } ---
+
+    const parse = (text, columns) => {
+        const tokens = tokenize(text);
+        const referenced = new Set();
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+        const expect = (op) => {
+            if (!isOp(op)) fail(`預期「${op}」`, peek().pos);
+            pos++;
+        };
+
+        const columnNode = (name, at) => {
+            if (!columns.includes(name)) fail(`找不到欄位「${name}」`, at);
+            referenced.add(name);
+            return { column: name, evaluate: (row) => row[name] };
+        };
+
+        const binary = (next, ops, combine) => () => {
+            let left = next();
+            while (isOp(...ops)) {
+                const op = tokens[pos++].value;
+                const right = next();
+                const l = left;
+                left = { evaluate: combine(op, l, right) };
+            }
+            return left;
+        };
+
+        const numeric = (op, l, r) => (row) => ARITHMETIC[op](toNumber(l.evaluate(row)), toNumber(r.evaluate(row)));
+
+        // Dates from a column use that column's date format
+        const dateOf = (node, row) => {
+            const val = node.evaluate(row);
+            if (val instanceof Date) return val;
+            return ExcelParser.parseDate(val, node.column ? ExcelParser.getDateFormat(node.column) : 'auto');
+        };
+
+        const call = (name, args, at) => {
+            const [minArgs, maxArgs] = FUNCTIONS[name];
+            if (args.length < minArgs || args.length > maxArgs) {
+                fail(`${name} 需要 ${minArgs === maxArgs ? minArgs : `${minArgs}–${maxArgs === Infinity ? 'n' : maxArgs}`} 個參數`, at);
+            }
+            const num = (row, i) => toNumber(args[i].evaluate(row));
+            switch (name) {
+                case 'abs': return (row) => Math.abs(num(row, 0));
+                case 'sqrt': return (row) => {
+                    const x = num(row, 0);
+                    return x < 0 ? NaN : Math.sqrt(x);
+                };
+                case 'round': return (row) => {
+                    const factor = Math.pow(10, args.length > 1 ? num(row, 1) : 0);
+                    return Math.round(num(row, 0) * factor) / factor;
+                };
+                case 'min': return (row) => Math.min(...args.map((_, i) => num(row, i)));
+                case 'max': return (row) => Math.max(...args.map((_, i) => num(row, i)));
+                case 'if': return (row) => isTruthy(args[0].evaluate(row)) ? args[1].evaluate(row) : args[2].evaluate(row);
+                default: return (row) => {
+                    const unit = args.length > 2 ? String(args[2].evaluate(row)).toLowerCase() : 'd';
+                    const end = dateOf(args[0], row);
+                    const start = dateOf(args[1], row);
+                    if (!end || !start || !DATE_UNITS[unit]) return NaN;
+                    return (end - start) / DATE_UNITS[unit];
+                };
+            }
+        };
+
+        const primary = () => {
+            const token = peek();
+            if (token.type === 'number' || token.type === 'string') {
+                pos++;
+                return { evaluate: () => token.value };
+            }
+            if (token.type === 'column') {
+                pos++;
+                return columnNode(token.value, token.pos);
+            }
+            if (token.type === 'name') {
+                pos++;
+                const lower = token.value.toLowerCase();
+                if (isOp('(') && FUNCTIONS[lower]) {
+                    pos++;
+                    const args = [];
+                    if (!isOp(')')) {
+                        args.push(or());
+                        while (isOp(',')) {
+                            pos++;
+                            args.push(or());
+                        }
+                    }
+                    expect(')');
+                    return { evaluate: call(lower, args, token.pos) };
+                }
+                if (isOp('(')) fail(`不支援的函數「${token.value}」`, token.pos);
+                return columnNode(token.value, token.pos);
+            }
+            if (isOp('(')) {
+                pos++;
+                const node = or();
+                expect(')');
+                return node;
+            }
+            fail(token.type === 'end' ? '公式不完整' : `未預期的「${token.value}」`, token.pos);
+        };
+
+        // Right-associative, binding tighter than unary minus (-2^2 = -4)
+        const power = () => {
+            const base = primary();
+            if (!isOp('^')) return base;
+            pos++;
+            return { evaluate: numeric('^', base, unary()) };
+        };
+
+        const unary = () => {
+            if (isOp('-', '+', '!')) {
+                const op = tokens[pos++].value;
+                const operand = unary();
+                if (op === '!') return { evaluate: (row) => !isTruthy(operand.evaluate(row)) };
+                return { evaluate: (row) => (op === '-' ? -1 : 1) * toNumber(operand.evaluate(row)) };
+            }
+            return power();
+        };
+
+        const multiplicative = binary(unary, ['*', '/', '%'], numeric);
+        const additive = binary(multiplicative, ['+', '-'], numeric);
+        const comparison = binary(additive, Object.keys(COMPARISONS),
+            (op, l, r) => (row) => COMPARISONS[op](compareValues(l.evaluate(row), r.evaluate(row))));
+        const and = binary(comparison, ['&&'], (op, l, r) => (row) => isTruthy(l.evaluate(row)) && isTruthy(r.evaluate(row)));
+        const or = binary(and, ['||'], (op, l, r) => (row) => isTruthy(l.evaluate(row)) || isTruthy(r.evaluate(row)));
+
+        if (peek().type === 'end') fail('公式為空白');
+        const root = or();
+        if (peek().type !== 'end') fail(`未預期的「${peek().value}」`, peek().pos);
+        return { root, columns: Array.from(referenced) };
+    };
+
+    /**
+     * Compile an expression against the available column names; throws an Error with a readable message
+     * @returns {Object} { evaluate(row), columns } - evaluate returns a number, text or null (blank cell)
+     */
+    const compile = (expression, columns) => {
+        const { root, columns: referenced } = parse(String(expression || ''), columns);
+        const evaluate = (row) => {
+            const val = root.evaluate(row);
+            if (typeof val === 'boolean') return val ? 1 : 0;
+            if (typeof val === 'number') return isFinite(val) ? val : null;
+            return val === undefined || val === '' ? null : val;
+        };
+        return { evaluate, columns: referenced };
+    };
+
+    /**
+     * Append computed columns ([{ name, expression }], in order, so later formulas may use earlier ones) to copies of rows
+     * A formula that fails to compile is skipped and reported
+     * @returns {Object} { rows, errors: { name: message } }
+     */
+    const applyComputed = (rows, computed) => {
+        const errors = {};
+        if (!computed || computed.length === 0) return { rows, errors };
+
+        const columns = ExcelParser.getColumns(rows);
+        const formulas = [];
+        computed.forEach(({ name, expression }) => {
+            try {
+                formulas.push({ name, evaluate: compile(expression, columns).evaluate });
+                if (!columns.includes(name)) columns.push(name);
+            } catch (e) {
+                errors[name] = e.message;
+            }
+        });
+
+        const result = rows.map(row => {
+            const out = { ...row };
+            formulas.forEach(({ name, evaluate }) => { out[name] = evaluate(out); });
+            return out;
+        });
+        return { rows: result, errors };
+    };
+
+    return { FUNCTIONS, compile, applyComputed };
+})();
@@ -0,0 +1,116 @@
+/**
+ * SPC Run Rules Module
+ * Western Electric / Nelson rule detection against a control chart's CL/UCL/LCL
+ */
+const SpcRules = (() => {
+    /**
+     * Rule catalogue (Nelson numbering); rule 2's run length depends on the preset
+     */
+    const RULES = [
+        { id: 1, label: '1 點超出 3σ 管制界限' },
+        { id: 2, label: '連續 N 點落在中心線同一側' },
+        { id: 3, label: '連續 6 點持續上升或下降' },
+        { id: 4, label: '連續 14 點交替上下' },
+        { id: 5, label: '3 點中有 2 點落在同側 2σ 外 (A 區)' },
+        { id: 6, label: '5 點中有 4 點落在同側 1σ 外 (B 區以外)' },
+        { id: 7, label: '連續 15 點落在 1σ 內 (C 區)' },
+        { id: 8, label: '連續 8 點落在 1σ 外 (兩側皆無 C 區)' }
+    ];
+
+    const PRESETS = {
+        'none': { rules: [], runLength: 9 },
+        'western-electric': { rules: [1, 2, 5, 6], runLength: 8 },
+        'nelson': { rules: [1, 2, 3, 4, 5, 6, 7, 8], runLength: 9 }
+    };
+
+    /**
+     * Human-readable description of a rule for the given run length
+     */
+    const describeRule = (id, runLength = 9) => {
+        const rule = RULES.find(r => r.id === id);
+        if (!rule) return '';
+        return id === 2 ? `連續 ${runLength} 點落在中心線同一側` : rule.label;
+    };
+
+    // Resolve a scalar or per-point limit
+    const at = (limit, i) => Array.isArray(limit) ? limit[i] : limit;
+
+    /**
+     * Evaluate run rules over a sequence of plotted values
+     * @param {Array} values - Plotted values in chart order
+     * @param {Object} limits - { cl, ucl, lcl }; ucl/lcl may be scalars or per-point arrays
+     * @param {Object} options - { rules: [ids], runLength } (rule 2 run length, 9 Nelson / 8 Western Electric)
+     * @returns {Array} One entry per violating point: { index, rules: [ids] }
+     */
+    const evaluate = (values, limits, options = {}) => {
+        const enabled = new Set(options.rules || []);
+        const runLength = options.runLength || 9;
+        const n = values.length;
+        if (n === 0 || enabled.size === 0 || !limits || isNaN(limits.cl)) return [];
+
+        // Distance from CL in sigma units, using each side's own zone width
+        const z = values.map((v, i) => {
+            const upper = (at(limits.ucl, i) - limits.cl) / 3;
+            const lower = (limits.cl - at(limits.lcl, i)) / 3;
+            const sigma = v >= limits.cl ? upper : lower;
+            if (!(sigma > 0)) return 0;
+            return (v - limits.cl) / sigma;
+        });
+
+        const hits = values.map(() => new Set());
+        const flag = (i, id) => hits[i].add(id);
+
+        // Length of the run of consecutive points ending at i that satisfy a predicate
+        const trailingRun = (i, predicate) => {
+            let len = 0;
+            for (let j = i; j >= 0 && predicate(j); j--) len++;
+            return len;
+        };
+
+        // Count of points in the window of size w ending at i that satisfy a predicate
+        const windowCount = (i, w, predicate) => {
+            let count = 0;
+            for (let j = Math.max(0, i - w + 1); j <= i; j++) if (predicate(j)) count++;
+            return count;
+        };
+
+        const diff = (j) => j > 0 ? Math.sign(values[j] - values[j - 1]) : 0;
+
+        for (let i = 0; i < n; i++) {
+            const side = Math.sign(z[i]);
+
+            if (enabled.has(1) && Math.abs(z[i]) > 3) flag(i, 1);
+
+            if (enabled.has(2) && side !== 0 && trailingRun(i, j => Math.sign(z[j]) === side) >= runLength) flag(i, 2);
+
+            // 6 points in a row = 5 consecutive differences of the same sign
+            if (enabled.has(3) && diff(i) !== 0) {
+                const dir = diff(i);
+                if (trailingRun(i, j => j > 0 && diff(j) === dir) >= 5) flag(i, 3);
+            }
+
+            // 14 points alternating = 13 differences that flip sign each step
+            if (enabled.has(4) && diff(i) !== 0) {
+                let len = 1;
+                for (let j = i; j > 1 && diff(j - 1) !== 0 && diff(j - 1) === -diff(j); j--) len++;
+                if (len >= 13) flag(i, 4);
+            }
+
+            if (enabled.has(5) && Math.abs(z[i]) > 2 && i >= 2 &&
+                windowCount(i, 3, j => z[j] * side > 2) >= 2) flag(i, 5);
+
+            if (enabled.has(6) && Math.abs(z[i]) > 1 && i >= 4 &&
+                windowCount(i, 5, j => z[j] * side > 1) >= 4) flag(i, 6);
+
+            if (enabled.has(7) && trailingRun(i, j => Math.abs(z[j]) < 1) >= 15) flag(i, 7);
+
+            if (enabled.has(8) && trailingRun(i, j => Math.abs(z[j]) > 1) >= 8) flag(i, 8);
+        }
+
+        return hits
+            .map((set, index) => ({ index, rules: Array.from(set).sort((a, b) => a - b) }))
+            .filter(v => v.rules.length > 0);
+    };
+
+    return { RULES, PRESETS, describeRule, evaluate };
+})();
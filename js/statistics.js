@@ -0,0 +1,390 @@
+/**
+ * Statistics Module
+ * Distribution functions (normal, chi-square, Student t), normality tests (Anderson-Darling, Shapiro-Wilk)
+ * and outlier detection (Grubbs, IQR, MAD)
+ */
+const Statistics = (() => {
+    /**
+     * Complementary error function (Numerical Recipes erfcc, relative error < 1.2e-7 in the tails)
+     */
+    const erfc = (x) => {
+        const z = Math.abs(x);
+        const t = 1 / (1 + 0.5 * z);
+        const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+            t * (-0.82215223 + t * 0.17087277)))))))));
+        return x >= 0 ? r : 2 - r;
+    };
+
+    /**
+     * Standard normal cumulative distribution function
+     */
+    const normCdf = (x) => 0.5 * erfc(-x / Math.SQRT2);
+
+    /**
+     * Inverse standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9)
+     */
+    const normInv = (p) => {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const pLow = 0.02425;
+
+        if (p < pLow) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - pLow) {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    };
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation, g = 7)
+     */
+    const lnGamma = (x) => {
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+        const z = x - 1;
+        let a = c[0];
+        const t = z + 7.5;
+        for (let i = 1; i < 9; i++) a += c[i] / (z + i);
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+    };
+
+    /**
+     * Regularized lower incomplete gamma P(a, x): series for x < a + 1, continued fraction otherwise
+     */
+    const gammaP = (a, x) => {
+        if (x <= 0) return 0;
+        const lnPrefix = a * Math.log(x) - x - lnGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let k = 1; k < 500; k++) {
+                term *= x / (a + k);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return Math.min(1, sum * Math.exp(lnPrefix));
+        }
+
+        // Modified Lentz evaluation of the continued fraction for Q(a, x)
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.max(0, 1 - Math.exp(lnPrefix) * h);
+    };
+
+    /**
+     * Chi-square cumulative distribution function with df degrees of freedom
+     */
+    const chiSquareCdf = (x, df) => gammaP(df / 2, x / 2);
+
+    /**
+     * Chi-square quantile: Wilson-Hilferty starting point refined by bisection on the CDF
+     */
+    const chiSquareInv = (p, df) => {
+        if (!(df > 0) || p <= 0) return 0;
+        if (p >= 1) return Infinity;
+
+        const h = 2 / (9 * df);
+        let guess = df * Math.pow(Math.max(1 - h + normInv(p) * Math.sqrt(h), 0.01), 3);
+        let lo = 0;
+        let hi = Math.max(guess * 2, df + 10 * Math.sqrt(2 * df));
+        while (chiSquareCdf(hi, df) < p) hi *= 2;
+        for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, guess); i++) {
+            guess = (lo + hi) / 2;
+            if (chiSquareCdf(guess, df) < p) lo = guess; else hi = guess;
+        }
+        return (lo + hi) / 2;
+    };
+
+    /**
+     * Continued fraction for the regularized incomplete beta function (modified Lentz)
+     */
+    const betaContinuedFraction = (a, b, x) => {
+        const tiny = 1e-300;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m < 300; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return h;
+    };
+
+    /**
+     * Regularized incomplete beta I_x(a, b)
+     */
+    const betaInc = (a, b, x) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        return x < (a + 1) / (a + b + 2)
+            ? front * betaContinuedFraction(a, b, x) / a
+            : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+    };
+
+    /**
+     * Student t cumulative distribution function with df degrees of freedom
+     */
+    const tCdf = (t, df) => {
+        const tail = 0.5 * betaInc(df / 2, 0.5, df / (df + t * t));
+        return t >= 0 ? 1 - tail : tail;
+    };
+
+    /**
+     * Student t quantile by bisection on the CDF (symmetric about 0)
+     */
+    const tInv = (p, df) => {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+        if (p < 0.5) return -tInv(1 - p, df);
+        let lo = 0;
+        let hi = Math.max(10, normInv(p) * 2);
+        while (tCdf(hi, df) < p) hi *= 2;
+        for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, hi); i++) {
+            const mid = (lo + hi) / 2;
+            if (tCdf(mid, df) < p) lo = mid; else hi = mid;
+        }
+        return (lo + hi) / 2;
+    };
+
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const sampleStdev = (values, m = mean(values)) => {
+        if (values.length < 2) return 0;
+        return Math.sqrt(values.reduce((a, v) => a + Math.pow(v - m, 2), 0) / (values.length - 1));
+    };
+
+    /**
+     * Blom plotting positions Φ⁻¹((i - 3/8) / (n + 1/4)) used by probability plots
+     */
+    const normalScores = (n) => {
+        const scores = [];
+        for (let i = 1; i <= n; i++) scores.push(normInv((i - 0.375) / (n + 0.25)));
+        return scores;
+    };
+
+    /**
+     * Anderson-Darling normality test with estimated mean and sigma
+     * p-value from D'Agostino & Stephens (1986) for the small-sample adjusted A*²
+     */
+    const andersonDarling = (values) => {
+        const n = values.length;
+        if (n < 3) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const m = mean(sorted);
+        const s = sampleStdev(sorted, m);
+        if (s === 0) return null;
+
+        // Clamp the CDF away from 0/1 so extreme points do not produce log(0)
+        const F = sorted.map(x => Math.min(Math.max(normCdf((x - m) / s), 1e-15), 1 - 1e-15));
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            sum += (2 * i + 1) * (Math.log(F[i]) + Math.log(1 - F[n - 1 - i]));
+        }
+        const statistic = -n - sum / n;
+        const adjusted = statistic * (1 + 0.75 / n + 2.25 / (n * n));
+
+        let pValue;
+        if (adjusted >= 0.6) pValue = Math.exp(1.2937 - 5.709 * adjusted + 0.0186 * adjusted * adjusted);
+        else if (adjusted >= 0.34) pValue = Math.exp(0.9177 - 4.279 * adjusted - 1.38 * adjusted * adjusted);
+        else if (adjusted >= 0.2) pValue = 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * adjusted * adjusted);
+        else pValue = 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * adjusted * adjusted);
+
+        return { statistic, adjusted, pValue: Math.min(Math.max(pValue, 0), 1) };
+    };
+
+    /**
+     * Shapiro-Wilk W test using Royston's (1995) approximation, valid for 3 ≤ n ≤ 5000
+     */
+    const shapiroWilk = (values) => {
+        const n = values.length;
+        if (n < 3 || n > 5000) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const m = mean(sorted);
+        const ss = sorted.reduce((acc, x) => acc + Math.pow(x - m, 2), 0);
+        if (ss === 0) return null;
+
+        // Coefficients a_i
+        const a = new Array(n).fill(0);
+        if (n === 3) {
+            a[0] = -Math.SQRT1_2;
+            a[2] = Math.SQRT1_2;
+        } else {
+            const mi = [];
+            for (let i = 1; i <= n; i++) mi.push(normInv((i - 0.375) / (n + 0.25)));
+            const mm = mi.reduce((acc, v) => acc + v * v, 0);
+            const u = 1 / Math.sqrt(n);
+            const poly = (c) => c.reduce((acc, coef) => acc * u + coef, 0);
+
+            const an = poly([-2.706056, 4.434685, -2.071190, -0.147981, 0.221157, 0]) + mi[n - 1] / Math.sqrt(mm);
+            if (n > 5) {
+                const an1 = poly([-3.582633, 5.682633, -1.752461, -0.293762, 0.042981, 0]) + mi[n - 2] / Math.sqrt(mm);
+                const eps = (mm - 2 * mi[n - 1] ** 2 - 2 * mi[n - 2] ** 2) / (1 - 2 * an ** 2 - 2 * an1 ** 2);
+                for (let i = 2; i < n - 2; i++) a[i] = mi[i] / Math.sqrt(eps);
+                a[n - 2] = an1;
+                a[1] = -an1;
+            } else {
+                const eps = (mm - 2 * mi[n - 1] ** 2) / (1 - 2 * an ** 2);
+                for (let i = 1; i < n - 1; i++) a[i] = mi[i] / Math.sqrt(eps);
+            }
+            a[n - 1] = an;
+            a[0] = -an;
+        }
+
+        const b = a.reduce((acc, coef, i) => acc + coef * sorted[i], 0);
+        const w = Math.min(b * b / ss, 1);
+
+        let pValue;
+        if (n === 3) {
+            pValue = Math.max(0, (6 / Math.PI) * (Math.asin(Math.sqrt(w)) - Math.asin(Math.sqrt(0.75))));
+        } else if (n <= 11) {
+            const gamma = 0.459 * n - 2.273;
+            const mu = 0.5440 - 0.39978 * n + 0.025054 * n ** 2 - 0.0006714 * n ** 3;
+            const sigma = Math.exp(1.3822 - 0.77857 * n + 0.062767 * n ** 2 - 0.0020322 * n ** 3);
+            const z = (-Math.log(gamma - Math.log(1 - w)) - mu) / sigma;
+            pValue = 1 - normCdf(z);
+        } else {
+            const ln = Math.log(n);
+            const mu = 0.0038915 * ln ** 3 - 0.083751 * ln ** 2 - 0.31082 * ln - 1.5861;
+            const sigma = Math.exp(0.0030302 * ln ** 2 - 0.082676 * ln - 0.4803);
+            const z = (Math.log(1 - w) - mu) / sigma;
+            pValue = 1 - normCdf(z);
+        }
+
+        return { w, pValue: Math.min(Math.max(pValue, 0), 1) };
+    };
+
+    // Linear-interpolated quantile of sorted values (Excel PERCENTILE.INC)
+    const quantile = (sorted, p) => {
+        const pos = (sorted.length - 1) * p;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    };
+
+    /**
+     * Two-sided Grubbs critical value for n points at significance alpha
+     */
+    const grubbsCritical = (n, alpha = 0.05) => {
+        const t = tInv(1 - alpha / (2 * n), n - 2);
+        return (n - 1) / Math.sqrt(n) * Math.sqrt(t * t / (n - 2 + t * t));
+    };
+
+    /**
+     * Indices of outlying values
+     * grubbs: repeated two-sided Grubbs test (removing the most extreme point while significant, n ≥ 3);
+     * iqr: outside the Tukey fences; mad: |0.6745 (x − median) / MAD| > 3.5 (Iglewicz & Hoaglin)
+     */
+    const findOutliers = (values, method = 'grubbs', alpha = 0.05) => {
+        const n = values.length;
+        if (n < 3) return [];
+
+        if (method === 'iqr') {
+            const sorted = [...values].sort((a, b) => a - b);
+            const q1 = quantile(sorted, 0.25);
+            const q3 = quantile(sorted, 0.75);
+            const lo = q1 - 1.5 * (q3 - q1);
+            const hi = q3 + 1.5 * (q3 - q1);
+            return values.map((v, i) => (v < lo || v > hi ? i : -1)).filter(i => i >= 0);
+        }
+
+        if (method === 'mad') {
+            const sorted = [...values].sort((a, b) => a - b);
+            const median = quantile(sorted, 0.5);
+            const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+            const mad = quantile(deviations, 0.5);
+            if (mad === 0) return [];
+            return values.map((v, i) => (Math.abs(0.6745 * (v - median) / mad) > 3.5 ? i : -1)).filter(i => i >= 0);
+        }
+
+        const remaining = values.map((v, i) => i);
+        const outliers = [];
+        while (remaining.length >= 3) {
+            const current = remaining.map(i => values[i]);
+            const m = mean(current);
+            const s = sampleStdev(current, m);
+            if (s === 0) break;
+            let worst = 0;
+            current.forEach((v, k) => { if (Math.abs(v - m) > Math.abs(current[worst] - m)) worst = k; });
+            if (Math.abs(current[worst] - m) / s <= grubbsCritical(current.length, alpha)) break;
+            outliers.push(remaining[worst]);
+            remaining.splice(worst, 1);
+        }
+        return outliers.sort((a, b) => a - b);
+    };
+
+    /**
+     * Run both normality tests; isNormal uses the Anderson-Darling p-value at the given alpha
+     */
+    const testNormality = (values, alpha = 0.05) => {
+        const ad = andersonDarling(values);
+        const sw = shapiroWilk(values);
+        return { ad, sw, isNormal: ad ? ad.pValue >= alpha : null };
+    };
+
+    return {
+        normCdf,
+        normInv,
+        normalScores,
+        chiSquareCdf,
+        chiSquareInv,
+        tCdf,
+        tInv,
+        grubbsCritical,
+        findOutliers,
+        andersonDarling,
+        shapiroWilk,
+        testNormality
+    };
+})();